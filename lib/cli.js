@@ -0,0 +1,636 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Command-line interface for the UI5 Plugin Loader
+ * All commands are built on the pipeline functions of lib/core.js
+ */
+
+const MANIFEST_FILE = 'ui5-plugin-loader.json';
+const MANIFEST_SCHEMA_URL = 'https://sap.github.io/ui5-plugin-loader/schema/ui5-plugin-loader.schema.json';
+const MANIFESTS_DIR = path.resolve(__dirname, '..', 'manifests');
+
+const USAGE = `Usage: ui5-plugin-loader <command> [options]
+
+Commands:
+  list                 List the extensions the loader would load, in order
+  explain              Explain what the pipeline decided for each extension
+  validate <manifest>  Validate a ${MANIFEST_FILE} manifest
+  init                 Create a ${MANIFEST_FILE} for the package in the current directory
+  doctor               Check the project setup for common problems
+  eject                Replace the loader entries with static customMiddleware/customTasks
+  migrate              Replace auto-discoverable customMiddleware/customTasks with the loader
+  trust [packages...]  Show packages blocked by the trust policy; approve them with --approve
+  lock                 Write the resolved extensions to ui5-plugin-loader.lock.json
+
+Options:
+  --config <path>      Project ui5.yaml to read the loader configuration from (default: ui5.yaml)
+  --section <name>     Read the configuration of the 'server' or 'builder' entry (default: server)
+  --profile <names>    Comma-separated configuration profiles to apply (default: $UI5_PLUGIN_LOADER_PROFILE)
+  --json               Print JSON instead of text (list, explain)
+  --force              Overwrite an existing manifest (init)
+  --output <path>      Write the resulting ui5.yaml to this file instead of stdout (eject, migrate)
+  --approve            Record the blocked packages (or the given ones) as approved (trust)
+  --frozen             Verify the lock file instead of writing it (lock)
+  --verbose            Print the pipeline log
+  -h, --help           Show this help`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Object with command, positional arguments and options
+ * @throws {Error} If an option is unknown or misses its value
+ */
+function parseArgs(argv) {
+    const options = {
+        config: 'ui5.yaml',
+        section: 'server',
+        output: null,
+        profile: null,
+        json: false,
+        force: false,
+        approve: false,
+        frozen: false,
+        verbose: false,
+        help: false
+    };
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--config':
+            case '--section':
+            case '--profile':
+            case '--output':
+                if (argv[i + 1] === undefined) {
+                    throw new Error(`Option ${arg} requires a value`);
+                }
+                options[arg.slice(2)] = argv[++i];
+                break;
+            case '--json':
+            case '--force':
+            case '--approve':
+            case '--frozen':
+            case '--verbose':
+                options[arg.slice(2)] = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                positionals.push(arg);
+        }
+    }
+
+    if (!['server', 'builder'].includes(options.section)) {
+        throw new Error(`Invalid section '${options.section}' - use 'server' or 'builder'`);
+    }
+
+    const [command, ...args] = positionals;
+    return { command, args, options };
+}
+
+/**
+ * Creates a console logger for the CLI; pipeline info is only shown with --verbose
+ * @param {boolean} verbose - Whether to print info and debug output
+ * @returns {Object} Logger instance
+ */
+function createCliLogger(verbose) {
+    const quiet = () => {};
+    return {
+        info: verbose ? (...args) => console.error(...args) : quiet,
+        warn: (...args) => console.error('warn', ...args),
+        error: (...args) => console.error('error', ...args),
+        verbose: verbose ? (...args) => console.error(...args) : quiet,
+        debug: verbose ? (...args) => console.error(...args) : quiet
+    };
+}
+
+/**
+ * Reads the loader configuration from the project's ui5.yaml
+ * @param {Object} ui5Config - ui5config functions
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Loader configuration ({} if none is configured)
+ */
+function readLoaderConfiguration(ui5Config, options) {
+    const projectConfig = ui5Config.readProjectConfig(options.config);
+    if (!projectConfig) {
+        return {};
+    }
+    return ui5Config.getLoaderConfiguration(projectConfig.documents, options.section) || {};
+}
+
+/**
+ * Lists the extensions the loader would load
+ * @param {Object} context - CLI context with logger and options
+ * @returns {number} Exit code
+ */
+function listCommand({ log, options }) {
+    const coreFunctions = require('./core')(log);
+    const ui5Config = require('./ui5config')(log);
+
+    const result = coreFunctions.processPipeline({
+        config: readLoaderConfiguration(ui5Config, options),
+        manifestsDir: MANIFESTS_DIR,
+        configPath: options.config,
+        profile: options.profile
+    });
+
+    const describe = ext => ({ name: ext.name, dependency: ext.dependency, origin: ext.origin || [], source: ext.source });
+    if (options.json) {
+        console.log(JSON.stringify({
+            middleware: result.middleware.map(describe),
+            tasks: result.tasks.map(describe)
+        }, null, 2));
+        return 0;
+    }
+
+    [['Middleware', result.middleware], ['Tasks', result.tasks]].forEach(([title, extensions]) => {
+        console.log(`${title}:`);
+        if (extensions.length === 0) {
+            console.log('  (none)');
+        }
+        extensions.forEach((ext, i) => {
+            const via = ext.origin && ext.origin.length > 0 ? ` via ${ext.origin.join(' → ')}` : '';
+            console.log(`  ${i + 1}. ${ext.name} (${ext.dependency}${via}, ${ext.source})`);
+        });
+    });
+    return 0;
+}
+
+/**
+ * Prints the explain report
+ * @param {Object} context - CLI context with logger and options
+ * @returns {number} Exit code
+ */
+function explainCommand({ log, options }) {
+    const explain = require('./explain')(log);
+    const ui5Config = require('./ui5config')(log);
+
+    const report = explain.explainPipeline({
+        config: readLoaderConfiguration(ui5Config, options),
+        manifestsDir: MANIFESTS_DIR,
+        configPath: options.config,
+        profile: options.profile
+    });
+
+    console.log(options.json ? JSON.stringify(report, null, 2) : explain.formatExplainReport(report));
+    return 0;
+}
+
+/**
+ * Validates a manifest file against the manifest schema
+ * @param {Object} context - CLI context with logger, arguments and options
+ * @returns {number} Exit code
+ */
+function validateCommand({ log, args }) {
+    const [manifestPath = MANIFEST_FILE] = args;
+    const resolvedPath = path.resolve(manifestPath);
+
+    if (!fs.existsSync(resolvedPath)) {
+        console.error(`✗ ${resolvedPath} does not exist`);
+        return 1;
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+        console.error(`✗ ${resolvedPath} is not valid JSON: ${error.message}`);
+        return 1;
+    }
+
+    const coreFunctions = require('./core')(log);
+    const validation = coreFunctions.validateManifest(manifest, resolvedPath);
+
+    validation.warnings.forEach(warning => console.log(`⚠ ${warning}`));
+    if (!validation.isValid) {
+        validation.errors.forEach(error => console.error(`✗ ${error}`));
+        console.error(`✗ ${resolvedPath} is invalid (${validation.errors.length} errors)`);
+        return 1;
+    }
+
+    console.log(`✓ ${resolvedPath} is valid`);
+    return 0;
+}
+
+/**
+ * Scaffolds a manifest from the extensions declared in the package's ui5.yaml
+ * @param {Object} context - CLI context with logger and options
+ * @returns {number} Exit code
+ */
+function initCommand({ log, options }) {
+    const coreFunctions = require('./core')(log);
+    const packageDir = process.cwd();
+    const manifestPath = path.join(packageDir, MANIFEST_FILE);
+
+    if (fs.existsSync(manifestPath) && !options.force) {
+        console.error(`✗ ${manifestPath} already exists - use --force to overwrite it`);
+        return 1;
+    }
+
+    const packageJson = coreFunctions.getRootPackageJson();
+    if (!packageJson || !packageJson.name) {
+        console.error('✗ No package.json with a name found in the current directory');
+        return 1;
+    }
+
+    const definitions = coreFunctions.readExtensionDefinitions(packageDir, packageJson.name);
+    if (definitions.length === 0) {
+        console.error('✗ ui5.yaml in the current directory does not define any server-middleware or task extension');
+        return 1;
+    }
+
+    const toEntry = def => ({ name: def.name, configuration: {} });
+    const middleware = definitions.filter(def => def.type === 'server-middleware').map(toEntry);
+    const tasks = definitions.filter(def => def.type === 'task').map(toEntry);
+
+    const manifest = { $schema: MANIFEST_SCHEMA_URL };
+    if (middleware.length > 0) {
+        manifest.middleware = middleware;
+    }
+    if (tasks.length > 0) {
+        manifest.tasks = tasks;
+    }
+
+    const validation = coreFunctions.validateManifest(manifest, manifestPath);
+    if (!validation.isValid) {
+        validation.errors.forEach(error => console.error(`✗ ${error}`));
+        return 1;
+    }
+
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`✓ Created ${manifestPath} with ${middleware.length} middleware and ${tasks.length} tasks`);
+    return 0;
+}
+
+/**
+ * Checks the project setup and reports problems
+ * @param {Object} context - CLI context with options
+ * @returns {number} Exit code
+ */
+function doctorCommand({ options }) {
+    let failures = 0;
+    const ok = message => console.log(`✓ ${message}`);
+    const warn = message => console.log(`⚠ ${message}`);
+    const fail = message => {
+        failures++;
+        console.log(`✗ ${message}`);
+    };
+
+    // Collect pipeline warnings and errors instead of printing them
+    const collected = { warn: [], error: [] };
+    const quiet = () => {};
+    const log = {
+        info: quiet,
+        verbose: quiet,
+        debug: quiet,
+        warn: (...args) => collected.warn.push(args.join(' ')),
+        error: (...args) => collected.error.push(args.join(' '))
+    };
+
+    const coreFunctions = require('./core')(log);
+    const ui5Config = require('./ui5config')(log);
+
+    const nodeMajor = parseInt(process.versions.node.split('.')[0], 10);
+    if (nodeMajor >= 18) {
+        ok(`Node.js ${process.versions.node}`);
+    } else {
+        fail(`Node.js ${process.versions.node} is not supported - use v18.0.0 or higher`);
+    }
+
+    const packageJson = coreFunctions.getRootPackageJson();
+    if (packageJson) {
+        ok(`package.json found (${packageJson.name || 'unnamed'})`);
+    } else {
+        fail('No package.json in the current directory');
+    }
+
+    if (coreFunctions.dependencyExists('@ui5/cli')) {
+        ok('@ui5/cli is installed');
+    } else {
+        warn('@ui5/cli is not installed in the project');
+    }
+
+    let loaderConfig = {};
+    try {
+        const projectConfig = ui5Config.readProjectConfig(options.config);
+        if (!projectConfig) {
+            fail(`${options.config} not found`);
+        } else {
+            ok(`${options.config} parsed (${projectConfig.documents.length} documents)`);
+            const serverConfig = ui5Config.getLoaderConfiguration(projectConfig.documents, 'server');
+            const builderConfig = ui5Config.getLoaderConfiguration(projectConfig.documents, 'builder');
+            (serverConfig ? ok : warn)(`ui5-plugin-loader ${serverConfig ? 'is' : 'is not'} registered in server.customMiddleware`);
+            (builderConfig ? ok : warn)(`ui5-plugin-loader-task ${builderConfig ? 'is' : 'is not'} registered in builder.customTasks`);
+            loaderConfig = (options.section === 'builder' ? builderConfig : serverConfig) || {};
+        }
+    } catch (error) {
+        fail(`${options.config} could not be parsed: ${error.message}`);
+    }
+
+    try {
+        const configFile = coreFunctions.loadConfigFile(path.dirname(path.resolve(options.config)), loaderConfig.configFile);
+        if (configFile) {
+            ok(`Configuration file ${path.relative(process.cwd(), configFile.path)} loaded`);
+        }
+    } catch (error) {
+        // Reported as pipeline failure below
+    }
+
+    let result = null;
+    try {
+        result = coreFunctions.processPipeline({
+            config: loaderConfig,
+            manifestsDir: MANIFESTS_DIR,
+            configPath: options.config,
+            profile: options.profile
+        });
+        ok(`Pipeline resolved ${result.middleware.length} middleware and ${result.tasks.length} tasks`);
+    } catch (error) {
+        fail(`Pipeline failed: ${error.message}`);
+    }
+
+    if (result) {
+        [...result.middleware, ...result.tasks].forEach(ext => {
+            const extensionType = ext.type === 'middleware' ? 'server-middleware' : 'task';
+            const definition = coreFunctions.loadExtensionDefinitions(ext.dependency)
+                .find(def => def.name === coreFunctions.getExtensionName(ext) && def.type === extensionType);
+
+            if (!coreFunctions.dependencyExists(ext.dependency)) {
+                fail(`${ext.name}: package '${ext.dependency}' is not installed`);
+            } else if (!definition) {
+                fail(`${ext.name}: not defined as '${extensionType}' extension in the ui5.yaml of '${ext.dependency}'`);
+            } else if (!fs.existsSync(definition.path)) {
+                fail(`${ext.name}: entry point ${definition.path} does not exist`);
+            } else {
+                ok(`${ext.name} → ${path.relative(process.cwd(), definition.path)} (${ext.source} manifest)`);
+            }
+        });
+    }
+
+    collected.warn.forEach(warn);
+    collected.error.forEach(fail);
+
+    console.log(failures === 0 ? '\nNo problems found' : `\n${failures} problem(s) found`);
+    return failures === 0 ? 0 : 1;
+}
+
+/**
+ * Ejects the resolved plugin set into static ui5.yaml entries
+ * @param {Object} context - CLI context with logger and options
+ * @returns {number} Exit code
+ */
+function ejectCommand({ log, options }) {
+    const eject = require('./eject')(log);
+
+    const content = eject.ejectProject({
+        configPath: options.config,
+        outputPath: options.output,
+        profile: options.profile,
+        manifestsDir: MANIFESTS_DIR
+    });
+
+    if (options.output) {
+        console.log(`✓ Wrote ${path.resolve(options.output)}`);
+    } else {
+        process.stdout.write(content);
+    }
+    return 0;
+}
+
+/**
+ * Migrates a hand-written ui5.yaml to the loader
+ * @param {Object} context - CLI context with logger and options
+ * @returns {number} Exit code
+ */
+function migrateCommand({ log, options }) {
+    const migrate = require('./migrate')(log);
+
+    const { content, report } = migrate.migrateProject({
+        configPath: options.config,
+        outputPath: options.output,
+        manifestsDir: MANIFESTS_DIR
+    });
+
+    // Keep stdout clean for the YAML when no output file is given
+    const print = options.output ? console.log : console.error;
+    if (!options.output) {
+        process.stdout.write(content);
+    }
+
+    if (report.migrated.length === 0) {
+        print('⚠ No entries can be replaced by the loader');
+        return 0;
+    }
+
+    report.migrated.forEach(name => print(`✓ ${name} → loader`));
+    report.kept.forEach(name => print(`  ${name} kept (not auto-discovered)`));
+    report.disabled.forEach(name => print(`  ${name} added to disable (not used before)`));
+    report.notes.forEach(note => print(`  ${note}`));
+    report.unmapped.forEach(({ name, reason }) => print(`⚠ ${name}: ${reason}`));
+
+    if (options.output) {
+        print(`✓ Wrote ${path.resolve(options.output)}`);
+    }
+    return 0;
+}
+
+/**
+ * Shows the trust status of the discovered packages and approves them
+ * @param {Object} context - CLI context with logger, arguments and options
+ * @returns {number} Exit code
+ */
+function trustCommand({ log, args, options }) {
+    const coreFunctions = require('./core')(log);
+    const ui5Config = require('./ui5config')(log);
+    const trust = require('./trust')(log);
+
+    const result = coreFunctions.processPipeline({
+        config: readLoaderConfiguration(ui5Config, options),
+        manifestsDir: MANIFESTS_DIR,
+        configPath: options.config,
+        profile: options.profile
+    });
+
+    if (!result.config.trust) {
+        console.log('⚠ No trust policy configured - every discovered package is loaded');
+        return 0;
+    }
+
+    // One row per package, not per extension
+    const packages = new Map();
+    result.stages.discovered.forEach(ext => {
+        if (!packages.has(ext.dependency)) {
+            const blocked = result.stages.blocked.find(blockedExt => blockedExt.dependency === ext.dependency);
+            packages.set(ext.dependency, { ext, reason: blocked ? blocked.reason : null });
+        }
+    });
+
+    const unknown = args.filter(name => !packages.has(name));
+    if (unknown.length > 0) {
+        console.error(`✗ No extensions discovered for ${unknown.join(', ')}`);
+        return 1;
+    }
+
+    const projectDir = path.dirname(path.resolve(options.config));
+    const trustFilePath = trust.getTrustFilePath(result.config.trust, projectDir);
+
+    if (options.approve) {
+        const approvals = {};
+        packages.forEach(({ ext, reason }, name) => {
+            if (args.length > 0 ? args.includes(name) : reason) {
+                const state = trust.getPackageState(name, ext, projectDir);
+                const verdict = coreFunctions.checkTrust(name, state, result.config.trust, null);
+                if (!verdict.approvable) {
+                    console.log(`⚠ ${name}: ${verdict.reason} - add it to trust.allow first`);
+                    return;
+                }
+                if (result.config.trust.pin === 'integrity' && !state.integrity) {
+                    console.log(`⚠ ${name}: integrity is not recorded in package-lock.json - it stays blocked with pin: integrity`);
+                }
+                approvals[name] = state;
+            }
+        });
+
+        if (Object.keys(approvals).length === 0) {
+            console.log('Nothing to approve');
+            return 0;
+        }
+        trust.writeTrustFile(trustFilePath, approvals);
+        Object.keys(approvals).forEach(name => console.log(`✓ ${name}@${approvals[name].version || 'unknown'} approved`));
+        console.log(`✓ Wrote ${trustFilePath}`);
+        return 0;
+    }
+
+    let blockedCount = 0;
+    packages.forEach(({ reason }, name) => {
+        if (args.length > 0 && !args.includes(name)) {
+            return;
+        }
+        if (reason) {
+            blockedCount++;
+            console.log(`✗ ${name}: ${reason}`);
+        } else {
+            console.log(`✓ ${name}`);
+        }
+    });
+    if (blockedCount > 0) {
+        console.log(`\n${blockedCount} package(s) blocked - review them and run 'ui5-plugin-loader trust --approve'`);
+    }
+    return blockedCount === 0 ? 0 : 1;
+}
+
+/**
+ * Writes or verifies the lock file for the server and builder entries
+ * @param {Object} context - CLI context with logger and options
+ * @returns {number} Exit code
+ */
+function lockCommand({ log, options }) {
+    const coreFunctions = require('./core')(log);
+    const ui5Config = require('./ui5config')(log);
+    const lock = require('./lock')(log);
+
+    const projectConfig = ui5Config.readProjectConfig(options.config);
+    if (!projectConfig) {
+        console.error(`✗ ${options.config} not found`);
+        return 1;
+    }
+
+    // Resolve like UI5 tooling does: middleware for serve, tasks for build
+    const sections = [
+        { section: 'middleware', entry: 'server', mode: 'serve' },
+        { section: 'tasks', entry: 'builder', mode: 'build' }
+    ];
+
+    let failures = 0;
+    sections.forEach(({ section, entry, mode }) => {
+        const config = ui5Config.getLoaderConfiguration(projectConfig.documents, entry);
+        if (!config) {
+            log.verbose(`No loader registered in ${entry} - skipping ${section}`);
+            return;
+        }
+
+        const result = coreFunctions.processPipeline({
+            config,
+            manifestsDir: MANIFESTS_DIR,
+            configPath: options.config,
+            profile: options.profile,
+            mode
+        });
+
+        try {
+            const differences = lock.syncLock({ result, section, configPath: options.config, frozen: options.frozen });
+            if (options.frozen) {
+                console.log(`✓ ${result[section].length} ${section} match the lock file`);
+            } else {
+                console.log(differences.length > 0 ? `✓ Locked ${result[section].length} ${section}` : `✓ ${section} are up to date`);
+                differences.forEach(difference => console.log(`  ${difference}`));
+            }
+        } catch (error) {
+            failures++;
+            console.error(`✗ ${error.message}`);
+        }
+    });
+
+    return failures === 0 ? 0 : 1;
+}
+
+const COMMANDS = {
+    list: listCommand,
+    explain: explainCommand,
+    validate: validateCommand,
+    init: initCommand,
+    doctor: doctorCommand,
+    eject: ejectCommand,
+    migrate: migrateCommand,
+    trust: trustCommand,
+    lock: lockCommand
+};
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {number} Exit code
+ */
+function run(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const { command, args, options } = parsed;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+        console.error(`Unknown command '${command}'\n\n${USAGE}`);
+        return 1;
+    }
+
+    try {
+        return handler({ log: createCliLogger(options.verbose), args, options });
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        return 1;
+    }
+}
+
+module.exports = {
+    run,
+    parseArgs
+};
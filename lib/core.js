@@ -1,15 +1,22 @@
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const semver = require('semver');
 
 // Initialize AJV with schemas
 let ajv;
 let validateManifestSchema;
 let validateLoaderConfigSchema;
+let configurationAjv;
 
 try {
     ajv = new Ajv({ allErrors: true, verbose: true });
     
+    // Configuration schemas come from third-party manifests and may use unknown keywords
+    configurationAjv = new Ajv({ allErrors: true, strict: false });
+    
     // Load manifest schema
     const manifestSchemaPath = path.resolve(__dirname, '..', 'schema', 'ui5-plugin-loader.schema.json');
     if (fs.existsSync(manifestSchemaPath)) {
@@ -28,67 +35,208 @@ try {
     console.warn('Warning: AJV schema validation disabled:', error.message);
 }
 
+// Ordering priority derived from the manifest category when no explicit priority is set
+const CATEGORY_PRIORITY = {
+    stringreplace: 10,
+    transpilation: 20,
+    modules: 30,
+    livereload: 40,
+    default: 50
+};
+
+// Standard middleware of the UI5 server and standard tasks of the UI5 builder per
+// spec version major, in the order UI5 tooling runs them
+const UI5_MIDDLEWARE_V3 = [
+    'csp', 'compression', 'cors', 'discovery', 'serveResources', 'testRunner',
+    'serveThemes', 'versionInfo', 'nonReadRequests', 'serveIndex'
+];
+const UI5_TASKS_V3 = [
+    'escapeNonAsciiCharacters', 'replaceCopyright', 'replaceVersion', 'replaceBuildtime',
+    'generateJsdoc', 'executeJsdocSdkTransformation', 'minify', 'generateFlexChangesBundle',
+    'generateManifestBundle', 'generateLibraryManifest', 'generateComponentPreload',
+    'generateLibraryPreload', 'generateStandaloneAppBundle', 'transformBootstrapHtml',
+    'generateBundle', 'buildThemes', 'generateThemeDesignerResources', 'generateVersionInfo',
+    'generateCachebusterInfo', 'generateApiIndex', 'generateResourcesJson'
+];
+const UI5_STANDARD_EXTENSIONS = {
+    2: {
+        middleware: [
+            'csp', 'compression', 'cors', 'discovery', 'serveResources', 'serveThemes',
+            'testRunner', 'versionInfo', 'connectUi5Proxy', 'nonReadRequests', 'serveIndex'
+        ],
+        tasks: UI5_TASKS_V3
+            .filter(task => task !== 'minify')
+            .flatMap(task => (task === 'generateJsdoc' ? ['createDebugFiles', 'uglify', task] : [task]))
+    },
+    3: { middleware: UI5_MIDDLEWARE_V3, tasks: UI5_TASKS_V3 },
+    4: {
+        middleware: UI5_MIDDLEWARE_V3,
+        tasks: UI5_TASKS_V3.flatMap(task => (task === 'minify' ? ['enhanceManifest', task] : [task]))
+    }
+};
+
+// Selection of configuration profiles outside of ui5.yaml
+const PROFILE_ENV_VARIABLE = 'UI5_PLUGIN_LOADER_PROFILE';
+const PROFILE_ARGV_OPTION = 'plugin-loader-profile';
+
+// Values and operators of override configurations that control merging
+const UNSET_VALUE = '$unset';
+const ARRAY_OPERATORS = ['$append', '$prepend', '$replace'];
+
+// Project-level configuration files, in lookup order
+const CONFIG_FILE_NAMES = [
+    'ui5-plugin-loader.config.js',
+    'ui5-plugin-loader.config.cjs',
+    'ui5-plugin-loader.config.json',
+    'ui5-plugin-loader.config.yaml',
+    'ui5-plugin-loader.config.yml'
+];
+
+// Manifest with presets that are not tied to a single dependency, in the manifests directory
+const PRESETS_FILE_NAME = 'presets.json';
+
+// Depth of dependencies inspected by transitive and project graph discovery
+const DEFAULT_DISCOVERY_DEPTH = 3;
+
+// Project types that make a package a node of the UI5 project graph
+const UI5_PROJECT_TYPES = ['application', 'component', 'library', 'theme-library', 'module'];
+
+// Keys a profile may layer on top of the base configuration
+const PROFILE_KEYS = ['debug', 'explain', 'strict', 'preset', 'onConflict', 'disable', 'enable', 'override'];
+
+/**
+ * Gets the configuration of a loaded extension before its placeholders were resolved
+ * Reports and generated files use it, so values from the environment do not end up in them.
+ * Independent of the logger, so modules required by the core (e.g. the lock file) can use it.
+ * @param {Object} result - Result of processPipeline
+ * @param {Object} ext - Extension from result.middleware or result.tasks
+ * @returns {Object} Merged configuration with its placeholders
+ */
+function getUnresolvedConfiguration(result, ext) {
+    const merged = (result.stages && result.stages.merged) || [];
+    const unresolved = merged.find(mergedExt => mergedExt._index === ext._index && mergedExt.name === ext.name) || ext;
+    return unresolved.configuration || {};
+}
+
 module.exports = function (log) {
     
+    // Workspace aware package resolution
+    const workspace = require('./workspace')(log);
+    
+    // Access to the project's own ui5.yaml
+    const ui5Config = require('./ui5config')(log);
+    
+    // Placeholder resolution in extension configuration
+    const interpolation = require('./interpolate')(log);
+    
+    // Approved packages of the trust policy
+    const trust = require('./trust')(log);
+    
+    // Lock file of the resolved extensions
+    const lock = require('./lock')(log);
+    
+    // Extension definitions per package, read from the package's ui5.yaml
+    const extensionDefinitionCache = new Map();
+    
+    // Compiled configuration schemas per schema object or file path
+    const configurationValidatorCache = new Map();
+    
+    // Directories of packages found below other packages by transitive discovery
+    const nestedPackageDirs = new Map();
+    
     // ========== PIPELINE FUNCTIONS ==========
     
     /**
      * Step 1: Load and validate configuration
+     * The inline configuration from ui5.yaml is layered on top of the project's
+     * configuration file, selected profiles on top of both in the given order.
      * @param {Object} config - Raw configuration from UI5 tooling
+     * @param {string|string[]} [profile] - Profiles to apply (defaults to the
+     *   --plugin-loader-profile option or the UI5_PLUGIN_LOADER_PROFILE environment variable)
+     * @param {string} [projectDir] - Directory to look for ui5-plugin-loader.config.* in
      * @returns {Object} Validated configuration
+     * @throws {Error} If the configuration file cannot be loaded
      */
-    function loadConfig(config = {}) {
+    function loadConfig(config = {}, profile, projectDir = process.cwd()) {
         log.debug('Pipeline Step 1: Loading configuration');
         
         // Handle nested UI5 configuration structure
-        const src = config.configuration || config;
+        const inline = config.configuration || config;
+        const configFile = loadConfigFile(projectDir, inline.configFile);
+        const base = configFile ? layerConfig(configFile.config, inline) : inline;
+        const src = applyProfiles(base, getProfileNames(profile));
         
         // Set defaults
         const normalizedConfig = {
             debug: !!src.debug,
+            explain: !!src.explain,
+            strict: !!src.strict,
+            onConflict: src.onConflict || 'skip',
             disable: Array.isArray(src.disable) ? src.disable : [],
             override: src.override && typeof src.override === 'object' ? src.override : {}
         };
         
+        // Without an enable list every discovered extension is loaded
+        if (Array.isArray(src.enable)) {
+            normalizedConfig.enable = src.enable;
+        }
+        if (src.preset) {
+            normalizedConfig.preset = src.preset;
+        }
+        if (src.trust) {
+            normalizedConfig.trust = src.trust;
+        }
+        if (src.lock) {
+            normalizedConfig.lock = true;
+        }
+        if (src.discovery) {
+            normalizedConfig.discovery = src.discovery;
+        }
+        
         // Validate configuration using schema
         if (validateLoaderConfigSchema) {
             const isValid = validateLoaderConfigSchema(normalizedConfig);
             if (!isValid && validateLoaderConfigSchema.errors) {
                 log.warn('Configuration validation warnings:');
-                validateLoaderConfigSchema.errors.forEach(error => {
-                    const path = error.instancePath || '';
-                    const message = error.message || 'Invalid value';
-                    log.warn(`  ${path ? path + ': ' : ''}${message}`);
-                });
+                validateLoaderConfigSchema.errors.forEach(error => log.warn(`  ${formatSchemaError(error)}`));
             }
         }
         
-        // Warn about unknown configuration keys
-        const knownKeys = ['debug', 'disable', 'override', 'middlewareName', 'configuration'];
-        Object.keys(src).forEach(key => {
+        // Warn about unknown configuration keys; the trust policy cannot be changed by a profile
+        const knownKeys = [...PROFILE_KEYS, 'profiles', 'trust', 'lock', 'discovery', 'configFile', 'middlewareName', 'configuration'];
+        Object.keys(inline).forEach(key => {
             if (!knownKeys.includes(key)) {
                 log.warn(`Unknown configuration key '${key}' - ignoring`);
             }
         });
         
-        log.debug(`Configuration loaded: debug=${normalizedConfig.debug}, disable=${normalizedConfig.disable.length} items, override=${Object.keys(normalizedConfig.override).length} items`);
+        log.debug(`Configuration loaded: debug=${normalizedConfig.debug}, disable=${normalizedConfig.disable.length} items, enable=${normalizedConfig.enable ? normalizedConfig.enable.length + ' items' : 'all'}, override=${Object.keys(normalizedConfig.override).length} items`);
         return normalizedConfig;
     }
     
     /**
      * Step 2: Discover manifests from node_modules and fallback
+     * Entries whose `activation` conditions are not met are skipped and collected in `inactive`.
      * @param {string} manifestsDir - Path to fallback manifests directory
+     * @param {Object|null} [activationContext] - Context for activation conditions (see getActivationContext);
+     *   without a context the conditions are not evaluated
+     * @param {Array} [inactive] - Collects skipped entries together with the reason
+     * @param {Array} [presets] - Collects the presets of all manifests, package presets before
+     *   the ones of the manifests directory
+     * @param {Object|null} [discovery] - `discovery` block of the loader configuration
+     *   (null inspects the direct dependencies only)
+     * @param {Object|null} [projectGraph] - Access to the UI5 project graph (see getGraphProjectDirs)
      * @returns {Array} Array of discovered extensions
      */
-    function discoverManifests(manifestsDir) {
+    function discoverManifests(manifestsDir, activationContext = null, inactive = [], presets = [], discovery = null, projectGraph = null) {
         log.debug('Pipeline Step 2: Discovering manifests');
         
         const extensions = [];
-        const dependencies = getAllDependencies();
+        const dependencies = collectDependencies(discovery, projectGraph);
         
         log.debug(`Scanning ${dependencies.length} dependencies for manifests`);
         
-        for (const dependency of dependencies) {
+        for (const { name: dependency, origin } of dependencies) {
             const manifestInfo = findManifestForDependency(dependency, manifestsDir);
             
             if (!manifestInfo) {
@@ -99,55 +247,189 @@ module.exports = function (log) {
             const { manifest, source } = manifestInfo;
             log.verbose(`Processing manifest for ${dependency} (source: ${source})`);
             
+            const addExtension = (manifestEntry, type) => {
+                // Referenced configuration schemas are relative to the manifest
+                const entry = typeof manifestEntry.configurationSchema === 'string'
+                    ? { ...manifestEntry, configurationSchema: path.resolve(path.dirname(manifestInfo.path), manifestEntry.configurationSchema) }
+                    : manifestEntry;
+                
+                const reason = activationContext ? checkActivation(entry, activationContext) : null;
+                if (reason) {
+                    log.info(`Skipping extension '${entry.name}' - ${reason}`);
+                    inactive.push({ ...entry, type, dependency, origin, source, reason });
+                    return;
+                }
+                extensions.push({
+                    ...entry,
+                    type,
+                    dependency,
+                    origin,
+                    source,
+                    packageDir: getPackageDir(dependency),
+                    manifestPath: manifestInfo.path,
+                    _index: extensions.length
+                });
+            };
+            
             // Add middleware extensions
             if (manifest.middleware && Array.isArray(manifest.middleware)) {
-                manifest.middleware.forEach(mw => {
-                    extensions.push({
-                        ...mw,
-                        type: 'middleware',
-                        dependency,
-                        source
-                    });
-                });
+                manifest.middleware.forEach(mw => addExtension(mw, 'middleware'));
             }
             
             // Add task extensions
             if (manifest.tasks && Array.isArray(manifest.tasks)) {
-                manifest.tasks.forEach(task => {
-                    extensions.push({
-                        ...task,
-                        type: 'task',
-                        dependency,
-                        source
-                    });
-                });
+                manifest.tasks.forEach(task => addExtension(task, 'task'));
             }
+            
+            Object.entries(manifest.presets || {}).forEach(([name, preset]) => {
+                presets.push({ ...preset, name, dependency, source });
+            });
         }
         
+        // Presets spanning several packages ship in the manifests directory
+        const presetsPath = path.resolve(manifestsDir, PRESETS_FILE_NAME);
+        const presetsManifest = fs.existsSync(presetsPath) ? loadManifest(presetsPath) : null;
+        Object.entries((presetsManifest && presetsManifest.presets) || {}).forEach(([name, preset]) => {
+            presets.push({ ...preset, name, dependency: null, source: 'fallback' });
+        });
+        
         log.debug(`Discovered ${extensions.length} extensions from ${dependencies.length} dependencies`);
         return extensions;
     }
     
     /**
-     * Step 3: Apply disable list
+     * Step 3: Apply the trust policy
+     * Only packages matching `trust.allow` whose manifest, and depending on `trust.pin`
+     * version or integrity, match the approval in the trust file are loaded.
      * @param {Array} extensions - Array of extension configurations
-     * @param {Array} disableList - Array of extension names to disable
+     * @param {Object|null} trustConfig - `trust` block of the loader configuration (null trusts all packages)
+     * @param {string} projectDir - Directory of the project's ui5.yaml
+     * @param {Array} [blocked] - Collects blocked extensions together with the reason
+     * @returns {Array} Extensions of trusted packages
+     * @throws {Error} If the trust file cannot be read
+     */
+    function applyTrust(extensions, trustConfig, projectDir, blocked = []) {
+        log.debug('Pipeline Step 3: Applying trust policy');
+        
+        if (!trustConfig) {
+            log.debug('No trust policy configured');
+            return extensions;
+        }
+        
+        const trustFilePath = trust.getTrustFilePath(trustConfig, projectDir);
+        const approvals = trust.readTrustFile(trustFilePath);
+        const verdicts = new Map();
+        
+        return extensions.filter(ext => {
+            if (!verdicts.has(ext.dependency)) {
+                const state = trust.getPackageState(ext.dependency, ext, projectDir);
+                const verdict = checkTrust(ext.dependency, state, trustConfig, approvals[ext.dependency]);
+                if (verdict) {
+                    const hint = verdict.approvable ? ' - review it and run \'ui5-plugin-loader trust --approve\'' : '';
+                    log.warn(`Blocked package '${ext.dependency}': ${verdict.reason}${hint}`);
+                }
+                verdicts.set(ext.dependency, verdict);
+            }
+            
+            const verdict = verdicts.get(ext.dependency);
+            if (verdict) {
+                blocked.push({ ...ext, reason: verdict.reason });
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Step 4: Apply the selected preset
+     * A preset restricts the discovered extensions to the ones it lists, applies the
+     * settings of its entries and runs them in the listed order (entries with an
+     * explicit `order` first).
+     * @param {Array} extensions - Array of extension configurations
+     * @param {string|null} presetName - Name of the selected preset (null keeps all extensions)
+     * @param {Array} presets - Presets collected by discoverManifests
+     * @returns {Array} Extensions of the preset
+     * @throws {Error} If no manifest defines the preset
+     */
+    function applyPreset(extensions, presetName, presets) {
+        log.debug('Pipeline Step 4: Applying preset');
+        
+        if (!presetName) {
+            log.debug('No preset selected');
+            return extensions;
+        }
+        
+        const candidates = presets.filter(preset => preset.name === presetName);
+        if (candidates.length === 0) {
+            const available = [...new Set(presets.map(preset => preset.name))];
+            throw new Error(`Unknown preset '${presetName}' - ${available.length > 0 ? `available presets: ${available.join(', ')}` : 'no manifest defines presets'}`);
+        }
+        
+        // Presets of packages take precedence over the ones of the manifests directory
+        const preset = candidates[0];
+        const describeSource = candidate => candidate.dependency || 'the manifests directory';
+        log.info(`Applying preset '${presetName}' from ${describeSource(preset)}`);
+        if (candidates.length > 1) {
+            log.verbose(`Preset '${presetName}' is also defined by ${candidates.slice(1).map(describeSource).join(', ')} - ignoring`);
+        }
+        
+        const selected = [];
+        [['middleware', preset.middleware], ['task', preset.tasks]].forEach(([type, entries]) => {
+            let previous = null;
+            sortPresetEntries(entries || []).forEach(entry => {
+                const ext = extensions.find(candidate => candidate.type === type && candidate.name === entry.name);
+                if (!ext) {
+                    log.info(`Preset '${presetName}' includes ${type} '${entry.name}', which was not discovered - skipping`);
+                    return;
+                }
+                selected.push({ ...applyOverrideEntry(ext, entry), preset: { name: presetName, after: previous } });
+                previous = ext.name;
+            });
+        });
+        
+        extensions
+            .filter(ext => !selected.some(selectedExt => selectedExt._index === ext._index))
+            .forEach(ext => log.info(`Disabled extension: ${ext.name} (not part of preset '${presetName}')`));
+        
+        return selected.sort((a, b) => a._index - b._index);
+    }
+    
+    /**
+     * Step 5: Apply enable allowlist and disable list
+     * Entries are extension or package names and may contain `*` (any characters
+     * except `/`), `**` (any characters) and `?` (a single character).
+     * @param {Array} extensions - Array of extension configurations
+     * @param {Array} disableList - Array of extension name patterns to disable
+     * @param {Array|null} [enableList] - Array of extension name patterns to load exclusively (null loads all)
      * @returns {Array} Filtered array of extensions
      */
-    function applyDisable(extensions, disableList) {
-        log.debug('Pipeline Step 3: Applying disable list');
+    function applyDisable(extensions, disableList, enableList = null) {
+        log.debug('Pipeline Step 5: Applying enable and disable lists');
         
-        if (!disableList || disableList.length === 0) {
+        const hasDisable = disableList && disableList.length > 0;
+        if (!hasDisable && !enableList) {
             log.debug('No extensions to disable');
             return extensions;
         }
         
         const filtered = extensions.filter(ext => {
-            const shouldDisable = disableList.includes(ext.name);
-            if (shouldDisable) {
-                log.info(`Disabled extension: ${ext.name}`);
+            if (enableList && !findMatchingPattern(ext, enableList)) {
+                log.info(`Disabled extension: ${ext.name} (not listed in enable)`);
+                return false;
+            }
+            const pattern = hasDisable && findMatchingPattern(ext, disableList);
+            if (pattern) {
+                log.info(`Disabled extension: ${ext.name}${pattern === ext.name ? '' : ` (matches '${pattern}')`}`);
+                return false;
             }
-            return !shouldDisable;
+            return true;
+        });
+        
+        // Patterns without a match are usually typos or leftovers of removed packages
+        [['disable', disableList || []], ['enable', enableList || []]].forEach(([key, patterns]) => {
+            patterns
+                .filter(pattern => !extensions.some(ext => matchesPattern(ext, pattern)))
+                .forEach(pattern => log.warn(`'${pattern}' in ${key} does not match any discovered extension`));
         });
         
         log.debug(`Disabled ${extensions.length - filtered.length} extensions`);
@@ -155,12 +437,51 @@ module.exports = function (log) {
     }
     
     /**
-     * Step 4: Fill in default order values
+     * Step 6: Detect extensions that are already registered statically in ui5.yaml
+     * Depending on `onConflict` (globally or per extension in `override`) the
+     * extension is skipped or loaded anyway with a warning.
+     * @param {Array} extensions - Array of extension configurations
+     * @param {Object} config - Normalized loader configuration
+     * @param {Array} registrations - Static registrations from the project's ui5.yaml
+     * @returns {Array} Extensions that are not skipped
+     */
+    function detectConflicts(extensions, config, registrations) {
+        log.debug('Pipeline Step 6: Detecting conflicts with ui5.yaml');
+        
+        if (!registrations || registrations.length === 0) {
+            log.debug('No static registrations in ui5.yaml');
+            return extensions;
+        }
+        
+        const filtered = extensions.filter(ext => {
+            const registration = registrations.find(reg => reg.name === getExtensionName(ext) && reg.type === ext.type);
+            if (!registration) {
+                return true;
+            }
+            
+            const override = config.override[ext.name] || {};
+            const onConflict = override.onConflict || config.onConflict;
+            
+            if (onConflict === 'warn') {
+                log.warn(`Extension '${ext.name}' is registered in ${registration.location} of ${registration.configPath} and also loaded by the plugin loader - it will run twice. Remove it from ui5.yaml or add it to 'disable'.`);
+                return true;
+            }
+            
+            log.info(`Skipping extension '${ext.name}' - already registered in ${registration.location} of ${registration.configPath}`);
+            return false;
+        });
+        
+        log.debug(`Skipped ${extensions.length - filtered.length} extensions registered in ui5.yaml`);
+        return filtered;
+    }
+    
+    /**
+     * Step 7: Fill in default order values
      * @param {Array} extensions - Array of extension configurations
      * @returns {Array} Extensions with default order values
      */
     function fillDefaults(extensions) {
-        log.debug('Pipeline Step 4: Filling default order values');
+        log.debug('Pipeline Step 7: Filling default order values');
         
         return extensions.map(ext => {
             const updated = { ...ext };
@@ -181,109 +502,188 @@ module.exports = function (log) {
     }
     
     /**
-     * Step 5: Apply override configurations
+     * Step 8: Apply override configurations
+     * An override with `instances` replaces the extension by one copy per instance.
      * @param {Array} extensions - Array of extension configurations
      * @param {Object} overrideMap - Map of extension names to override configs
      * @returns {Array} Extensions with overrides applied
      */
     function applyOverride(extensions, overrideMap) {
-        log.debug('Pipeline Step 5: Applying override configurations');
+        log.debug('Pipeline Step 8: Applying override configurations');
         
         if (!overrideMap || Object.keys(overrideMap).length === 0) {
             log.debug('No overrides to apply');
             return extensions;
         }
         
-        return extensions.map(ext => {
+        return extensions.flatMap(ext => {
             const override = overrideMap[ext.name];
             if (!override) {
-                return ext;
+                return [ext];
             }
             
             log.info(`Applying override for ${ext.name}`);
+            const updated = applyOverrideEntry(ext, override);
             
-            // Shallow merge override properties
-            const updated = { ...ext };
-            
-            // Override order properties
-            if (override.afterMiddleware !== undefined) {
-                updated.afterMiddleware = override.afterMiddleware;
-                delete updated.beforeMiddleware; // Clear conflicting property
-            }
-            if (override.beforeMiddleware !== undefined) {
-                updated.beforeMiddleware = override.beforeMiddleware;
-                delete updated.afterMiddleware; // Clear conflicting property
+            if (!override.instances) {
+                return [updated];
             }
-            if (override.afterTask !== undefined) {
-                updated.afterTask = override.afterTask;
-                delete updated.beforeTask; // Clear conflicting property
+            
+            // Every instance is a separately named copy of the extension with its own override
+            const instances = Object.entries(override.instances).map(([instanceName, instanceOverride]) => {
+                log.info(`Creating instance '${instanceName}' of ${ext.name}`);
+                return applyOverrideEntry({
+                    ...updated,
+                    name: instanceName,
+                    extension: getExtensionName(updated)
+                }, instanceOverride || {});
+            });
+            if (instances.length === 0) {
+                log.warn(`Override for ${ext.name} defines no instances - extension is not loaded`);
             }
-            if (override.beforeTask !== undefined) {
-                updated.beforeTask = override.beforeTask;
-                delete updated.afterTask; // Clear conflicting property
+            return instances;
+        });
+    }
+    
+    /**
+     * Applies a single override (or instance) entry to an extension
+     * @param {Object} ext - Extension configuration
+     * @param {Object} override - Override configuration
+     * @returns {Object} Extension with the override applied
+     */
+    function applyOverrideEntry(ext, override) {
+        // Shallow merge override properties
+        const updated = { ...ext };
+        
+        // Override order properties
+        if (override.afterMiddleware !== undefined) {
+            updated.afterMiddleware = override.afterMiddleware;
+            delete updated.beforeMiddleware; // Clear conflicting property
+        }
+        if (override.beforeMiddleware !== undefined) {
+            updated.beforeMiddleware = override.beforeMiddleware;
+            delete updated.afterMiddleware; // Clear conflicting property
+        }
+        if (override.afterTask !== undefined) {
+            updated.afterTask = override.afterTask;
+            delete updated.beforeTask; // Clear conflicting property
+        }
+        if (override.beforeTask !== undefined) {
+            updated.beforeTask = override.beforeTask;
+            delete updated.afterTask; // Clear conflicting property
+        }
+        if (override.mountPath !== undefined) {
+            updated.mountPath = override.mountPath;
+        }
+        
+        // Merge configuration objects
+        if (override.configuration) {
+            updated.configuration = mergeConfiguration(updated.configuration, override.configuration, override.merge);
+            log.debug(`Merged configuration for ${ext.name} (${override.merge || 'shallow'}): ${JSON.stringify(updated.configuration)}`);
+        }
+        
+        return updated;
+    }
+    
+    /**
+     * Step 9: Resolve placeholders in the configuration of every extension
+     * @param {Array} extensions - Array of extension configurations
+     * @param {Object} context - Interpolation context (see lib/interpolate.js)
+     * @returns {Array} Extensions with resolved configuration
+     */
+    function resolvePlaceholders(extensions, context) {
+        log.debug('Pipeline Step 9: Resolving placeholders');
+        
+        return extensions.map(ext => {
+            if (!ext.configuration) {
+                return ext;
             }
-            if (override.mountPath !== undefined) {
-                updated.mountPath = override.mountPath;
+            return {
+                ...ext,
+                configuration: interpolation.interpolate(ext.configuration, context, `extension '${ext.name}'`)
+            };
+        });
+    }
+    
+    /**
+     * Step 10: Validate the final configuration of every extension against the
+     * JSON Schema declared in its manifest (`configurationSchema`)
+     * @param {Array} extensions - Array of extension configurations
+     * @returns {Array} Same array (validation only emits warnings)
+     */
+    function validateConfigurations(extensions) {
+        log.debug('Pipeline Step 10: Validating extension configurations');
+        
+        extensions.forEach(ext => {
+            if (!ext.configurationSchema) {
+                return;
             }
             
-            // Merge configuration objects
-            if (override.configuration) {
-                updated.configuration = {
-                    ...updated.configuration,
-                    ...override.configuration
-                };
+            const validate = getConfigurationValidator(ext);
+            if (!validate || validate(ext.configuration || {})) {
+                return;
             }
             
-            return updated;
+            validate.errors.forEach(error => {
+                const property = error.params && (error.params.additionalProperty || error.params.missingProperty);
+                const jsonPath = toJsonPath(error.instancePath, property);
+                log.warn(`Invalid configuration of extension '${ext.name}' at ${jsonPath}: ${error.message || 'Invalid value'}`);
+            });
         });
+        
+        return extensions;
     }
     
     /**
-     * Step 6: Validate references to ensure all after/before targets exist
+     * Step 11: Validate ordering references
+     * Targets of afterMiddleware/beforeMiddleware/afterTask/beforeTask must be a loaded
+     * extension or a standard middleware/task of the project's spec version, and no
+     * extension may have to run both before and after the same target.
      * @param {Array} extensions - Array of extension configurations
-     * @returns {Array} Same array (validation only emits warnings)
+     * @param {Object} [options] - Validation options
+     * @param {string} [options.specVersion] - specVersion of the project's ui5.yaml
+     * @param {boolean} [options.strict] - Fail instead of warning
+     * @returns {Array} Same array
+     * @throws {Error} In strict mode, if a reference is unknown or contradictory
      */
-    function validateRefs(extensions) {
-        log.debug('Pipeline Step 6: Validating references');
+    function validateRefs(extensions, { specVersion, strict = false } = {}) {
+        log.debug('Pipeline Step 11: Validating references');
         
-        const extensionNames = new Set(extensions.map(ext => ext.name));
-        
-        // Built-in middleware/tasks that are always available
-        const builtinMiddleware = new Set(['compression', 'csp', 'cors']);
-        const builtinTasks = new Set(['replaceVersion', 'replaceCopyright', 'replaceToken']);
+        const extensionNames = new Set(extensions.flatMap(ext => [ext.name, getExtensionName(ext)]));
+        const standard = getStandardExtensions(specVersion);
+        const problems = [];
         
         extensions.forEach(ext => {
-            // Check middleware references
-            if (ext.type === 'middleware') {
-                if (ext.afterMiddleware && !extensionNames.has(ext.afterMiddleware) && !builtinMiddleware.has(ext.afterMiddleware)) {
-                    log.warn(`Extension '${ext.name}' references unknown afterMiddleware '${ext.afterMiddleware}'`);
-                }
-                if (ext.beforeMiddleware && !extensionNames.has(ext.beforeMiddleware) && !builtinMiddleware.has(ext.beforeMiddleware)) {
-                    log.warn(`Extension '${ext.name}' references unknown beforeMiddleware '${ext.beforeMiddleware}'`);
-                }
-            }
+            const prefix = ext.type === 'middleware' ? 'Middleware' : 'Task';
+            const builtins = ext.type === 'middleware' ? standard.middleware : standard.tasks;
             
-            // Check task references
-            if (ext.type === 'task') {
-                if (ext.afterTask && !extensionNames.has(ext.afterTask) && !builtinTasks.has(ext.afterTask)) {
-                    log.warn(`Extension '${ext.name}' references unknown afterTask '${ext.afterTask}'`);
-                }
-                if (ext.beforeTask && !extensionNames.has(ext.beforeTask) && !builtinTasks.has(ext.beforeTask)) {
-                    log.warn(`Extension '${ext.name}' references unknown beforeTask '${ext.beforeTask}'`);
+            [`after${prefix}`, `before${prefix}`].forEach(key => {
+                if (ext[key] && !extensionNames.has(ext[key]) && !builtins.includes(ext[key])) {
+                    problems.push(`Extension '${ext.name}' references unknown ${key} '${ext[key]}'`);
                 }
-            }
+            });
+            
+            // The same target on both sides can never be satisfied
+            const constraints = getOrderingConstraints(ext);
+            const runsAfter = new Set(constraints.filter(({ before }) => before === ext.name).map(({ after }) => after));
+            constraints
+                .filter(({ after, before }) => after === ext.name && runsAfter.has(before))
+                .forEach(({ before }) => {
+                    problems.push(`Extension '${ext.name}' must run both before and after '${before}'`);
+                });
         });
         
+        reportProblems(problems, strict);
         return extensions;
     }
     
     /**
-     * Step 7: Remove duplicates (first occurrence wins)
+     * Step 12: Remove duplicates (first occurrence wins)
      * @param {Array} extensions - Array of extension configurations
      * @returns {Array} Deduplicated array
      */
     function deduplicate(extensions) {
-        log.debug('Pipeline Step 7: Removing duplicates');
+        log.debug('Pipeline Step 12: Removing duplicates');
         
         const seen = new Set();
         const deduplicated = [];
@@ -302,49 +702,586 @@ module.exports = function (log) {
     }
     
     /**
-     * Step 8: Smart sort using fixed pattern order
-     * @param {Array} extensions - Array of extension configurations
-     * @returns {Array} Sorted array
+     * Step 13: Smart sort using the dependency graph declared in the manifests
+     * 
+     * Edges come from `dependencies.before`/`dependencies.after` as well as from
+     * afterMiddleware/beforeMiddleware/afterTask/beforeTask when they reference
+     * another loaded extension. Extensions without constraints between them are
+     * ordered by priority, then category, then name.
+     * @param {Array} extensions - Array of extension configurations
+     * @param {Object} [options] - Sort options
+     * @param {boolean} [options.strict] - Fail on cycles and unresolved constraints instead of warning
+     * @returns {Array} Sorted array
+     * @throws {Error} In strict mode, if the ordering constraints contain a cycle or cannot be resolved
+     */
+    function smartSort(extensions, { strict = false } = {}) {
+        log.debug('Pipeline Step 13: Smart sorting');
+        
+        const byName = new Map(extensions.map(ext => [ext.name, ext]));
+        const successors = new Map(extensions.map(ext => [ext.name, new Set()]));
+        const inDegree = new Map(extensions.map(ext => [ext.name, 0]));
+        
+        // Constraints on an extension that only runs as instances apply to every instance
+        const instanceNames = new Map();
+        extensions.filter(ext => getExtensionName(ext) !== ext.name).forEach(ext => {
+            instanceNames.set(getExtensionName(ext), [...(instanceNames.get(getExtensionName(ext)) || []), ext.name]);
+        });
+        
+        const addEdge = (from, to, owner, constraint) => {
+            const target = from === owner.name ? to : from;
+            if (!byName.has(target) && instanceNames.has(target)) {
+                instanceNames.get(target).forEach(instance => addEdge(
+                    from === target ? instance : from,
+                    to === target ? instance : to,
+                    owner,
+                    constraint
+                ));
+                return;
+            }
+            if (!byName.has(target)) {
+                log.debug(`Ignoring ${constraint} constraint of '${owner.name}' on '${target}' - extension not loaded`);
+                return;
+            }
+            if (byName.get(target).type !== owner.type) {
+                reportProblems([`Unresolved ${constraint} constraint: ${owner.type} '${owner.name}' references ${byName.get(target).type} '${target}'`], strict);
+                return;
+            }
+            if (from === to || successors.get(from).has(to)) {
+                return;
+            }
+            successors.get(from).add(to);
+            inDegree.set(to, inDegree.get(to) + 1);
+        };
+        
+        extensions.forEach(ext => {
+            getOrderingConstraints(ext).forEach(({ before, after, constraint }) => {
+                addEdge(after, before, ext, constraint);
+            });
+        });
+        
+        // Kahn's algorithm, always picking the best ranked extension that is ready
+        const ready = extensions.filter(ext => inDegree.get(ext.name) === 0);
+        const sorted = [];
+        
+        while (ready.length > 0) {
+            ready.sort(compareRank);
+            const next = ready.shift();
+            sorted.push(next);
+            
+            successors.get(next.name).forEach(name => {
+                inDegree.set(name, inDegree.get(name) - 1);
+                if (inDegree.get(name) === 0) {
+                    ready.push(byName.get(name));
+                }
+            });
+        }
+        
+        if (sorted.length < extensions.length) {
+            const remaining = extensions.filter(ext => inDegree.get(ext.name) > 0);
+            const cycle = findCycle(remaining.map(ext => ext.name), successors);
+            const message = `Circular ordering dependency between extensions: ${cycle.join(' → ')}`;
+            if (strict) {
+                throw new Error(message);
+            }
+            
+            // Without strict mode the extensions of the cycle run in ranking order
+            log.warn(`${message} - ordering them by priority instead`);
+            sorted.push(...remaining.sort(compareRank));
+        }
+        
+        log.debug(`Smart sort order: ${sorted.map(ext => ext.name).join(' → ')}`);
+        return sorted;
+    }
+    
+    // ========== UTILITY FUNCTIONS ==========
+    
+    /**
+     * Merges an override configuration into the configuration of an extension
+     * 
+     * With the `shallow` strategy top-level keys are replaced, with `deep` nested
+     * objects are merged recursively. In both strategies a value of `$unset` removes
+     * the key and `{ $append: [...] }`, `{ $prepend: [...] }` and `{ $replace: value }`
+     * control how a single value is combined with the existing one.
+     * @param {Object} [base] - Configuration from the manifest
+     * @param {Object} override - Configuration from the override
+     * @param {string} [strategy] - 'shallow' (default) or 'deep'
+     * @returns {Object} Merged configuration
+     */
+    function mergeConfiguration(base = {}, override = {}, strategy = 'shallow') {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isOperator = value => isPlainObject(value)
+            && Object.keys(value).length === 1
+            && ARRAY_OPERATORS.includes(Object.keys(value)[0]);
+        
+        const mergeObjects = (target, source) => {
+            const result = { ...target };
+            Object.keys(source).forEach(key => {
+                if (source[key] === UNSET_VALUE) {
+                    delete result[key];
+                } else {
+                    result[key] = mergeValue(target[key], source[key]);
+                }
+            });
+            return result;
+        };
+        
+        const mergeValue = (target, value) => {
+            if (isOperator(value)) {
+                const [operator, operand] = Object.entries(value)[0];
+                if (operator === '$replace') {
+                    return operand;
+                }
+                const existing = Array.isArray(target) ? target : (target === undefined ? [] : [target]);
+                const added = Array.isArray(operand) ? operand : [operand];
+                return operator === '$append' ? [...existing, ...added] : [...added, ...existing];
+            }
+            if (strategy === 'deep' && isPlainObject(value)) {
+                return mergeObjects(isPlainObject(target) ? target : {}, value);
+            }
+            return value;
+        };
+        
+        return mergeObjects(base, override);
+    }
+    
+    /**
+     * Gets the names of the profiles to apply
+     * @param {string|string[]} [profile] - Explicitly selected profiles
+     * @returns {string[]} Profile names in the order they are applied
+     */
+    function getProfileNames(profile) {
+        const selection = profile !== undefined && profile !== null
+            ? profile
+            : ui5Config.getArgvOption(PROFILE_ARGV_OPTION) || process.env[PROFILE_ENV_VARIABLE] || '';
+        
+        return (Array.isArray(selection) ? selection : String(selection).split(','))
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+    
+    /**
+     * Formats an AJV validation error of the loader configuration
+     * @param {Object} error - AJV error object
+     * @returns {string} Message with the JSON path of the invalid value
+     */
+    function formatSchemaError(error) {
+        const message = error.message || 'Invalid value';
+        const property = error.params && error.params.additionalProperty;
+        return `${error.instancePath ? error.instancePath + ': ' : ''}${message}${property ? ` ('${property}')` : ''}`;
+    }
+    
+    /**
+     * Layers one loader configuration on top of another
+     * `disable` entries are added, `override` entries are merged per extension
+     * (including their `configuration`), `profiles` are merged by name and all
+     * other keys are replaced.
+     * @param {Object} lower - Configuration with lower precedence
+     * @param {Object} upper - Configuration with higher precedence
+     * @returns {Object} Layered configuration
+     */
+    function layerConfig(lower, upper) {
+        const result = { ...lower };
+        
+        Object.keys(upper).forEach(key => {
+            if (key === 'disable') {
+                result.disable = [...new Set([...(lower.disable || []), ...(upper.disable || [])])];
+            } else if (key === 'override') {
+                result.override = { ...lower.override };
+                Object.entries(upper.override || {}).forEach(([extName, override]) => {
+                    const previous = result.override[extName] || {};
+                    result.override[extName] = { ...previous, ...override };
+                    if (previous.configuration && override.configuration) {
+                        result.override[extName].configuration = { ...previous.configuration, ...override.configuration };
+                    }
+                });
+            } else if (key === 'profiles') {
+                result.profiles = { ...lower.profiles, ...upper.profiles };
+            } else {
+                result[key] = upper[key];
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Layers profiles on top of a base configuration
+     * @param {Object} base - Base loader configuration
+     * @param {string[]} profileNames - Profiles to apply in order
+     * @returns {Object} Configuration with the profiles applied
+     */
+    function applyProfiles(base, profileNames) {
+        if (profileNames.length === 0) {
+            return base;
+        }
+        
+        const profiles = base.profiles && typeof base.profiles === 'object' ? base.profiles : {};
+        
+        return profileNames.reduce((layered, name) => {
+            const profile = profiles[name];
+            if (!profile || typeof profile !== 'object') {
+                const available = Object.keys(profiles);
+                log.warn(`Profile '${name}' is not defined - ${available.length > 0 ? `available profiles: ${available.join(', ')}` : 'the configuration has no profiles'}`);
+                return layered;
+            }
+            
+            log.info(`Applying configuration profile '${name}'`);
+            const layer = {};
+            Object.keys(profile).forEach(key => {
+                if (PROFILE_KEYS.includes(key)) {
+                    layer[key] = profile[key];
+                } else {
+                    log.warn(`Unknown key '${key}' in profile '${name}' - ignoring`);
+                }
+            });
+            
+            return layerConfig(layered, layer);
+        }, base);
+    }
+    
+    /**
+     * Loads the project's loader configuration file
+     * Without an explicit path the first existing ui5-plugin-loader.config.js/.cjs/.json/.yaml/.yml
+     * of the project directory is used. JavaScript files may export the configuration
+     * or a function returning it.
+     * @param {string} projectDir - Project directory
+     * @param {string} [configFile] - Explicit path, relative to the project directory
+     * @returns {Object|null} Object with path and config or null if there is no file
+     * @throws {Error} If the file cannot be loaded or does not contain an object
+     */
+    function loadConfigFile(projectDir, configFile) {
+        let filePath;
+        if (configFile) {
+            filePath = path.resolve(projectDir, configFile);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`Configuration file ${filePath} not found`);
+            }
+        } else {
+            const found = CONFIG_FILE_NAMES
+                .map(name => path.join(projectDir, name))
+                .filter(candidate => fs.existsSync(candidate));
+            if (found.length === 0) {
+                log.debug(`No loader configuration file in ${projectDir}`);
+                return null;
+            }
+            if (found.length > 1) {
+                log.warn(`Found several loader configuration files - using ${path.basename(found[0])}, ignoring ${found.slice(1).map(file => path.basename(file)).join(', ')}`);
+            }
+            filePath = found[0];
+        }
+        
+        let content;
+        try {
+            const extension = path.extname(filePath);
+            if (extension === '.js' || extension === '.cjs') {
+                const exported = require(filePath);
+                content = typeof exported === 'function' ? exported({ projectDir }) : exported;
+            } else if (extension === '.json') {
+                content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } else {
+                content = yaml.load(fs.readFileSync(filePath, 'utf8'), { filename: filePath });
+            }
+        } catch (error) {
+            throw new Error(`Failed to load configuration file ${filePath}: ${error.message}`);
+        }
+        
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            throw new Error(`Configuration file ${filePath} must contain an object`);
+        }
+        
+        if (validateLoaderConfigSchema && !validateLoaderConfigSchema(content)) {
+            log.warn(`Configuration file ${filePath} validation warnings:`);
+            validateLoaderConfigSchema.errors.forEach(error => log.warn(`  ${formatSchemaError(error)}`));
+        }
+        
+        log.info(`Loaded configuration file ${filePath}`);
+        return { path: filePath, config: content };
+    }
+    
+    /**
+     * Checks whether an extension matches an enable/disable pattern
+     * The pattern is tested against the extension name and the name of its package.
+     * @param {Object} ext - Extension configuration
+     * @param {string} pattern - Exact name or glob pattern
+     * @returns {boolean} True if the extension or its package matches
+     */
+    function matchesPattern(ext, pattern) {
+        if (pattern === ext.name || pattern === ext.dependency) {
+            return true;
+        }
+        if (!/[*?]/.test(pattern)) {
+            return false;
+        }
+        
+        const source = pattern
+            .split(/(\*\*|\*|\?)/)
+            .map(part => {
+                if (part === '**') return '.*';
+                if (part === '*') return '[^/]*';
+                if (part === '?') return '[^/]';
+                return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        const regExp = new RegExp(`^${source}$`);
+        return regExp.test(ext.name) || (!!ext.dependency && regExp.test(ext.dependency));
+    }
+    
+    /**
+     * Finds the first pattern of a list that matches an extension
+     * @param {Object} ext - Extension configuration
+     * @param {string[]} patterns - Exact names or glob patterns
+     * @returns {string|undefined} Matching pattern
+     */
+    function findMatchingPattern(ext, patterns) {
+        return patterns.find(pattern => matchesPattern(ext, pattern));
+    }
+    
+    /**
+     * Collects the ordering constraints of an extension as "after runs before before" pairs
+     * @param {Object} ext - Extension configuration
+     * @returns {Array} Array of { after, before, constraint } objects
+     */
+    function getOrderingConstraints(ext) {
+        const constraints = [];
+        const deps = ext.dependencies || {};
+        const prefix = ext.type === 'middleware' ? 'Middleware' : 'Task';
+        
+        (deps.after || []).forEach(name => {
+            constraints.push({ after: name, before: ext.name, constraint: 'dependencies.after' });
+        });
+        (deps.before || []).forEach(name => {
+            constraints.push({ after: ext.name, before: name, constraint: 'dependencies.before' });
+        });
+        if (ext[`after${prefix}`]) {
+            constraints.push({ after: ext[`after${prefix}`], before: ext.name, constraint: `after${prefix}` });
+        }
+        if (ext[`before${prefix}`]) {
+            constraints.push({ after: ext.name, before: ext[`before${prefix}`], constraint: `before${prefix}` });
+        }
+        if (ext.preset && ext.preset.after) {
+            constraints.push({ after: ext.preset.after, before: ext.name, constraint: `preset ${ext.preset.name}` });
+        }
+        
+        return constraints;
+    }
+    
+    /**
+     * Checks a package against the trust policy
+     * @param {string} packageName - Name of the package
+     * @param {Object} state - Current package state (see trust.getPackageState)
+     * @param {Object} trustConfig - `trust` block of the loader configuration
+     * @param {Object} [approval] - Approved state from the trust file
+     * @returns {Object|null} Object with reason and whether approving the package resolves it, or null if trusted
+     */
+    function checkTrust(packageName, state, trustConfig, approval) {
+        if (trustConfig.allow) {
+            const allowed = trustConfig.allow.find(entry => {
+                // name@range, where the name itself may start with @ (scoped packages)
+                const separator = entry.lastIndexOf('@');
+                const pattern = separator > 0 ? entry.slice(0, separator) : entry;
+                const range = separator > 0 ? entry.slice(separator + 1) : null;
+                return matchesPattern({ name: packageName, dependency: packageName }, pattern)
+                    && (!range || (!!state.version && semver.satisfies(state.version, range, { includePrerelease: true })));
+            });
+            if (!allowed) {
+                return { reason: `${packageName}@${state.version || 'unknown'} is not listed in trust.allow`, approvable: false };
+            }
+        }
+        
+        if (!approval) {
+            return { reason: 'new manifest, not approved yet', approvable: true };
+        }
+        if (approval.manifest !== state.manifest) {
+            return { reason: `${state.source} manifest changed since it was approved`, approvable: true };
+        }
+        
+        const pin = trustConfig.pin || 'none';
+        if (pin !== 'none' && approval.version !== state.version) {
+            return { reason: `version ${state.version || 'unknown'} differs from approved ${approval.version}`, approvable: true };
+        }
+        if (pin === 'integrity' && (!state.integrity || approval.integrity !== state.integrity)) {
+            return {
+                reason: state.integrity ? 'integrity differs from the approved one' : 'integrity is not recorded in package-lock.json',
+                approvable: !!state.integrity
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Sorts the entries of a preset: entries with `order` ascending, then the others as listed
+     * @param {Array} entries - Middleware or task entries of a preset
+     * @returns {Array} Sorted entries
+     */
+    function sortPresetEntries(entries) {
+        const rank = entry => (Number.isInteger(entry.order) ? entry.order : Infinity);
+        return entries
+            .map((entry, index) => ({ entry, index }))
+            .sort((a, b) => (rank(a.entry) - rank(b.entry)) || (a.index - b.index))
+            .map(({ entry }) => entry);
+    }
+    
+    /**
+     * Gets the compiled validator for the configuration schema of an extension
+     * @param {Object} ext - Extension configuration with configurationSchema (object or absolute path)
+     * @returns {Function|null} AJV validate function or null if the schema cannot be used
+     */
+    function getConfigurationValidator(ext) {
+        if (!configurationAjv) {
+            return null;
+        }
+        
+        const cacheKey = ext.configurationSchema;
+        if (configurationValidatorCache.has(cacheKey)) {
+            return configurationValidatorCache.get(cacheKey);
+        }
+        
+        let validate = null;
+        try {
+            const schema = typeof ext.configurationSchema === 'string'
+                ? JSON.parse(fs.readFileSync(ext.configurationSchema, 'utf8'))
+                : ext.configurationSchema;
+            validate = (schema.$id && configurationAjv.getSchema(schema.$id)) || configurationAjv.compile(schema);
+        } catch (error) {
+            log.warn(`Cannot use configuration schema of extension '${ext.name}': ${error.message}`);
+        }
+        
+        configurationValidatorCache.set(cacheKey, validate);
+        return validate;
+    }
+    
+    /**
+     * Converts an AJV instance path into a readable path below `configuration`
+     * @param {string} instancePath - JSON pointer, e.g. /babelConfig/presets/0
+     * @param {string} [property] - Offending property reported by the error
+     * @returns {string} Path like configuration.babelConfig.presets[0]
+     */
+    function toJsonPath(instancePath, property) {
+        const segments = (instancePath ? instancePath.split('/').slice(1) : [])
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        if (property) {
+            segments.push(property);
+        }
+        
+        return segments.reduce((jsonPath, segment) => (/^\d+$/.test(segment)
+            ? `${jsonPath}[${segment}]`
+            : `${jsonPath}.${segment}`), 'configuration');
+    }
+    
+    /**
+     * Gets the standard middleware and tasks of a spec version
+     * @param {string} [specVersion] - specVersion of the project (defaults to the newest known)
+     * @returns {Object} Object with middleware and tasks name arrays
+     */
+    function getStandardExtensions(specVersion) {
+        const majors = Object.keys(UI5_STANDARD_EXTENSIONS).map(Number);
+        const major = parseInt(String(specVersion || ''), 10);
+        return UI5_STANDARD_EXTENSIONS[majors.includes(major) ? major : Math.max(...majors)];
+    }
+    
+    /**
+     * Reports validation problems as warnings or, in strict mode, as error
+     * @param {string[]} problems - Problem descriptions
+     * @param {boolean} strict - Fail instead of warning
+     * @throws {Error} In strict mode, if there are problems
+     */
+    function reportProblems(problems, strict) {
+        if (problems.length === 0) {
+            return;
+        }
+        if (strict) {
+            throw new Error(`Strict mode: ${problems.join('; ')}`);
+        }
+        problems.forEach(problem => log.warn(problem));
+    }
+    
+    /**
+     * Gets the name of the extension in the package's ui5.yaml
+     * Differs from the name for instances and manifest aliases.
+     * @param {Object} ext - Extension configuration
+     * @returns {string} Extension name as defined by the package
+     */
+    function getExtensionName(ext) {
+        return ext.extension || ext.name;
+    }
+    
+    /**
+     * Gets the ordering priority of an extension (explicit priority, then category)
+     * @param {Object} ext - Extension configuration
+     * @returns {number} Priority (lower numbers run first)
+     */
+    function getEffectivePriority(ext) {
+        const deps = ext.dependencies || {};
+        if (Number.isInteger(deps.priority)) {
+            return deps.priority;
+        }
+        return CATEGORY_PRIORITY[deps.category] || CATEGORY_PRIORITY.default;
+    }
+    
+    /**
+     * Compares two extensions by priority, category and name
+     * @param {Object} a - First extension
+     * @param {Object} b - Second extension
+     * @returns {number} Sort result
+     */
+    function compareRank(a, b) {
+        const priorityDiff = getEffectivePriority(a) - getEffectivePriority(b);
+        if (priorityDiff !== 0) {
+            return priorityDiff;
+        }
+        const categoryA = CATEGORY_PRIORITY[(a.dependencies || {}).category] || CATEGORY_PRIORITY.default;
+        const categoryB = CATEGORY_PRIORITY[(b.dependencies || {}).category] || CATEGORY_PRIORITY.default;
+        if (categoryA !== categoryB) {
+            return categoryA - categoryB;
+        }
+        return a.name.localeCompare(b.name);
+    }
+    
+    /**
+     * Finds one cycle among the given nodes of an ordering graph
+     * @param {string[]} names - Names of the nodes that could not be sorted
+     * @param {Map<string, Set<string>>} successors - Adjacency list of the graph
+     * @returns {string[]} Names forming the cycle, first name repeated at the end
      */
-    function smartSort(extensions) {
-        log.debug('Pipeline Step 8: Smart sorting');
-        
-        // Fixed pattern order: stringreplace → transpile → modules → livereload → rest
-        const patterns = [
-            { pattern: /stringreplace/i, order: 10 },
-            { pattern: /transpile/i, order: 20 },
-            { pattern: /modules/i, order: 30 },
-            { pattern: /livereload/i, order: 40 }
-        ];
-        
-        // Assign smart order based on patterns
-        const withOrder = extensions.map(ext => {
-            let order = 50; // default for "rest"
-            
-            for (const pattern of patterns) {
-                if (pattern.pattern.test(ext.name)) {
-                    order = pattern.order;
-                    break;
+    function findCycle(names, successors) {
+        const candidates = new Set(names);
+        const visited = new Set();
+        
+        for (const start of names) {
+            const stack = [];
+            const onStack = new Set();
+            
+            const visit = (name) => {
+                if (onStack.has(name)) {
+                    return stack.slice(stack.indexOf(name)).concat(name);
                 }
-            }
+                if (visited.has(name) || !candidates.has(name)) {
+                    return null;
+                }
+                visited.add(name);
+                stack.push(name);
+                onStack.add(name);
+                for (const next of successors.get(name)) {
+                    const cycle = visit(next);
+                    if (cycle) {
+                        return cycle;
+                    }
+                }
+                stack.pop();
+                onStack.delete(name);
+                return null;
+            };
             
-            return { ...ext, _smartOrder: order };
-        });
-        
-        // Sort by smart order, then by name for stability
-        const sorted = withOrder.sort((a, b) => {
-            if (a._smartOrder !== b._smartOrder) {
-                return a._smartOrder - b._smartOrder;
+            const cycle = visit(start);
+            if (cycle) {
+                return cycle;
             }
-            return a.name.localeCompare(b.name);
-        });
+        }
         
-        log.debug(`Smart sort order: ${sorted.map(ext => ext.name).join(' → ')}`);
-        return sorted;
+        return names;
     }
     
-    // ========== UTILITY FUNCTIONS ==========
-    
     /**
      * Validates manifest structure and content using AJV schema validation
      * @param {Object} manifest - Manifest object to validate
@@ -372,6 +1309,13 @@ module.exports = function (log) {
             }
         }
         
+        // Version ranges must be parseable to ever match
+        (Array.isArray(manifest.versions) ? manifest.versions : []).forEach((entry, i) => {
+            if (entry && typeof entry.range === 'string' && !semver.validRange(entry.range)) {
+                errors.push(`/versions/${i}/range: '${entry.range}' is not a valid semver range`);
+            }
+        });
+        
         // Additional warnings for missing schema
         if (!manifest.$schema) {
             warnings.push('Missing $schema property - consider adding schema reference for better IDE support');
@@ -419,6 +1363,112 @@ module.exports = function (log) {
         }
     }
     
+    /**
+     * Reads the extensions registered statically in the project's ui5.yaml
+     * @param {string} configPath - Path to the ui5.yaml
+     * @returns {Array} Registrations with name, type, location and configPath
+     */
+    function getStaticRegistrations(configPath) {
+        try {
+            const projectConfig = ui5Config.readProjectConfig(configPath);
+            if (!projectConfig) {
+                return [];
+            }
+            return ui5Config.getStaticRegistrations(projectConfig.documents)
+                .map(registration => ({ ...registration, configPath: projectConfig.path }));
+        } catch (error) {
+            log.warn(`Cannot check ${configPath} for registered extensions: ${error.message}`);
+            return [];
+        }
+    }
+    
+    /**
+     * Creates the context placeholders in extension configuration are resolved against
+     * @param {string} configPath - Path to the project's ui5.yaml
+     * @returns {Object} Interpolation context with env, project and package values
+     */
+    function getInterpolationContext(configPath) {
+        let projectDocument = null;
+        let projectDir = process.cwd();
+        try {
+            const projectConfig = ui5Config.readProjectConfig(configPath);
+            if (projectConfig) {
+                projectDocument = ui5Config.getProjectDocument(projectConfig.documents);
+                projectDir = path.dirname(projectConfig.path);
+            }
+        } catch (error) {
+            log.verbose(`Cannot read project placeholders from ${configPath}: ${error.message}`);
+        }
+        
+        return interpolation.createContext({
+            projectDir,
+            projectDocument,
+            packageJson: getRootPackageJson()
+        });
+    }
+    
+    /**
+     * Creates the context activation conditions of manifest entries are evaluated against
+     * @param {string} configPath - Path to the project's ui5.yaml
+     * @param {string} [mode] - 'serve' or 'build' (conditions on the mode pass when unknown)
+     * @returns {Object} Activation context with projectDir, projectType, specVersion, frameworkName and mode
+     */
+    function getActivationContext(configPath, mode) {
+        const context = { projectDir: process.cwd(), projectType: null, specVersion: null, frameworkName: null, mode: mode || null };
+        try {
+            const projectConfig = ui5Config.readProjectConfig(configPath);
+            const projectDocument = projectConfig && ui5Config.getProjectDocument(projectConfig.documents);
+            if (projectDocument) {
+                context.projectDir = path.dirname(projectConfig.path);
+                context.projectType = projectDocument.type || null;
+                context.specVersion = projectDocument.specVersion ? String(projectDocument.specVersion) : null;
+                context.frameworkName = (projectDocument.framework && projectDocument.framework.name) || null;
+            }
+        } catch (error) {
+            log.verbose(`Cannot read project type and framework from ${configPath}: ${error.message}`);
+        }
+        return context;
+    }
+    
+    /**
+     * Evaluates the activation conditions of a manifest entry
+     * All conditions must be met for the extension to be loaded.
+     * @param {Object} entry - Middleware or task entry of a manifest
+     * @param {Object} context - Activation context (see getActivationContext)
+     * @returns {string|null} Reason why the extension is not activated or null if it is
+     */
+    function checkActivation(entry, context) {
+        const activation = entry.activation;
+        if (!activation) {
+            return null;
+        }
+        
+        const missingFile = (activation.files || [])
+            .find(file => !fs.existsSync(path.resolve(context.projectDir, file)));
+        if (missingFile) {
+            return `${missingFile} does not exist`;
+        }
+        
+        if (activation.projectTypes && !activation.projectTypes.includes(context.projectType)) {
+            return `project type is ${context.projectType || 'unknown'}, requires ${activation.projectTypes.join(' or ')}`;
+        }
+        
+        if (activation.mode && context.mode && activation.mode !== context.mode) {
+            return `only active in ${activation.mode} mode`;
+        }
+        
+        if (activation.framework && activation.framework !== context.frameworkName) {
+            return `framework is ${context.frameworkName || 'not configured'}, requires ${activation.framework}`;
+        }
+        
+        const missingPackage = (activation.packages || []).find(name => !dependencyExists(name));
+        if (missingPackage) {
+            return `package '${missingPackage}' is not installed`;
+        }
+        
+        return null;
+    }
+    
     /**
      * Gets the root package.json to identify dependencies
      * @returns {Object|null} Package.json object or null if not found
@@ -441,18 +1491,167 @@ module.exports = function (log) {
     
     /**
      * Gets all dependencies from package.json (dependencies + devDependencies)
+     * In a workspace the dependencies of the workspace root are added, since
+     * extensions are often only declared there and hoisted.
      * @returns {string[]} Array of dependency names
      */
     function getAllDependencies() {
         const packageJson = getRootPackageJson();
-        if (!packageJson) {
-            return [];
+        const names = [];
+        
+        const addDependencies = (pkg) => {
+            Object.keys(pkg.dependencies || {})
+                .concat(Object.keys(pkg.devDependencies || {}))
+                .forEach(name => {
+                    if (!names.includes(name)) {
+                        names.push(name);
+                    }
+                });
+        };
+        
+        if (packageJson) {
+            addDependencies(packageJson);
+        }
+        
+        const workspaceRoot = workspace.findWorkspaceRoot();
+        if (workspaceRoot && workspaceRoot.root !== path.resolve(process.cwd())) {
+            const rootPackageJson = workspace.readPackageJson(path.join(workspaceRoot.root, 'package.json'));
+            if (rootPackageJson) {
+                log.debug(`Including dependencies of workspace root ${workspaceRoot.root}`);
+                addDependencies(rootPackageJson);
+            }
+        }
+        
+        return names;
+    }
+    
+    /**
+     * Collects the packages to scan for manifests
+     * Direct dependencies always count. With `discovery.transitive` the dependencies
+     * of every package, with `discovery.projectGraph` the dependencies of UI5 projects
+     * (as in the UI5 project graph) are followed up to `discovery.depth` levels.
+     * @param {Object|null} [discovery] - `discovery` block of the loader configuration
+     * @param {Object|null} [projectGraph] - Access to the UI5 project graph (see getGraphProjectDirs)
+     * @returns {Array} Objects with name and origin (packages leading to it, empty for direct dependencies)
+     */
+    function collectDependencies(discovery = null, projectGraph = null) {
+        const directDependencies = getAllDependencies();
+        const queue = directDependencies.map(name => ({ name, origin: [], depth: 1 }));
+        if (!discovery || (!discovery.transitive && !discovery.projectGraph)) {
+            return queue.map(({ name, origin }) => ({ name, origin }));
+        }
+        
+        const maxDepth = discovery.depth || DEFAULT_DISCOVERY_DEPTH;
+        const graphProjectDirs = discovery.transitive ? null : getGraphProjectDirs(projectGraph);
+        const seen = new Set(queue.map(({ name }) => name));
+        const dependencies = [];
+        
+        // Breadth-first, so every package is reached through its shortest path
+        while (queue.length > 0) {
+            const current = queue.shift();
+            dependencies.push({ name: current.name, origin: current.origin });
+            
+            const packageDir = getPackageDir(current.name);
+            if (!packageDir || current.depth >= maxDepth) {
+                continue;
+            }
+            if (!discovery.transitive && !isUi5Project(packageDir, graphProjectDirs)) {
+                continue;
+            }
+            
+            const packageJson = workspace.readPackageJson(path.join(packageDir, 'package.json')) || {};
+            Object.keys({ ...packageJson.dependencies, ...packageJson.optionalDependencies }).forEach(name => {
+                if (seen.has(name)) {
+                    return;
+                }
+                // Resolved from the parent, so nested node_modules are found as well
+                const dependencyDir = workspace.resolvePackageDir(name, packageDir);
+                if (!dependencyDir) {
+                    return;
+                }
+                seen.add(name);
+                nestedPackageDirs.set(name, dependencyDir);
+                queue.push({ name, origin: [...current.origin, current.name], depth: current.depth + 1 });
+            });
+        }
+        
+        log.debug(`Found ${dependencies.length - directDependencies.length} indirect dependencies (depth ${maxDepth})`);
+        return dependencies;
+    }
+    
+    /**
+     * Gets the directories of the projects in the UI5 project graph
+     * UI5 tooling provides the graph through the middlewareUtil/taskUtil of specVersion 3.0 and
+     * later (`getProject` returns the current project without a name, `getDependencies` the names
+     * of its dependencies).
+     * @param {Object|null} projectGraph - Object with getProject and getDependencies
+     * @returns {Set<string>|null} Real paths of the project directories or null if the graph is not available
+     */
+    function getGraphProjectDirs(projectGraph) {
+        if (!projectGraph || typeof projectGraph.getProject !== 'function' || typeof projectGraph.getDependencies !== 'function') {
+            return null;
+        }
+        
+        try {
+            const projectDirs = new Set();
+            const queue = [projectGraph.getProject().getName()];
+            const seen = new Set(queue);
+            while (queue.length > 0) {
+                const projectName = queue.shift();
+                projectDirs.add(toRealPath(projectGraph.getProject(projectName).getRootPath()));
+                projectGraph.getDependencies(projectName).forEach(dependencyName => {
+                    if (!seen.has(dependencyName)) {
+                        seen.add(dependencyName);
+                        queue.push(dependencyName);
+                    }
+                });
+            }
+            log.debug(`UI5 project graph has ${projectDirs.size} projects`);
+            return projectDirs;
+        } catch (error) {
+            log.verbose(`Cannot read the UI5 project graph: ${error.message} - checking the ui5.yaml of packages instead`);
+            return null;
+        }
+    }
+    
+    /**
+     * Resolves symbolic links of a path, e.g. of linked workspace packages
+     * @param {string} filePath - Path to resolve
+     * @returns {string} Real path or the resolved path if it does not exist
+     */
+    function toRealPath(filePath) {
+        try {
+            return fs.realpathSync(filePath);
+        } catch (error) {
+            return path.resolve(filePath);
+        }
+    }
+    
+    /**
+     * Checks whether a package is a UI5 project (and thus a node of the UI5 project graph)
+     * Without access to the graph, e.g. in the CLI or with UI5 tooling before specVersion 3.0,
+     * the package's ui5.yaml is checked for a project type instead.
+     * @param {string} packageDir - Package directory
+     * @param {Set<string>|null} [graphProjectDirs] - Project directories of the UI5 project graph
+     * @returns {boolean} True if the package is a node of the graph or its ui5.yaml declares a project type
+     */
+    function isUi5Project(packageDir, graphProjectDirs = null) {
+        if (graphProjectDirs) {
+            return graphProjectDirs.has(toRealPath(packageDir));
         }
         
-        const dependencies = Object.keys(packageJson.dependencies || {});
-        const devDependencies = Object.keys(packageJson.devDependencies || {});
+        const configPath = path.join(packageDir, 'ui5.yaml');
+        if (!fs.existsSync(configPath)) {
+            return false;
+        }
         
-        return [...dependencies, ...devDependencies];
+        try {
+            return yaml.loadAll(fs.readFileSync(configPath, 'utf8'), null, { filename: configPath })
+                .some(doc => doc && (doc.kind === undefined || doc.kind === 'project') && UI5_PROJECT_TYPES.includes(doc.type));
+        } catch (error) {
+            log.warn(`Failed to parse ${configPath}: ${error.message}`);
+            return false;
+        }
     }
     
     /**
@@ -465,23 +1664,30 @@ module.exports = function (log) {
         log.debug && log.debug(`Finding manifest for dependency: ${dependencyName}`);
         
         // First try to find manifest in the dependency's package
-        const depManifestPath = path.resolve('node_modules', dependencyName, 'ui5-plugin-loader.json');
+        const packageDir = getPackageDir(dependencyName);
+        const depManifestPath = packageDir && path.join(packageDir, 'ui5-plugin-loader.json');
         log.debug && log.debug(`Checking package manifest at: ${depManifestPath}`);
-        let manifest = loadManifest(depManifestPath);
+        let manifest = depManifestPath && loadManifest(depManifestPath);
+        if (manifest) {
+            manifest = selectManifestVersion(manifest, dependencyName, depManifestPath);
+        }
         
         if (manifest) {
             log.info(`Found manifest for ${dependencyName} in package`);
-            return { manifest, source: 'package' };
+            return { manifest, source: 'package', path: depManifestPath };
         }
         
         // Fallback to manifests directory
         const fallbackPath = path.resolve(manifestsDir, `${dependencyName}.json`);
         log.debug && log.debug(`Checking fallback manifest at: ${fallbackPath}`);
         manifest = loadManifest(fallbackPath);
+        if (manifest) {
+            manifest = selectManifestVersion(manifest, dependencyName, fallbackPath);
+        }
         
         if (manifest) {
             log.info(`Found manifest for ${dependencyName} in fallback directory`);
-            return { manifest, source: 'fallback' };
+            return { manifest, source: 'fallback', path: fallbackPath };
         }
         
         log.debug && log.debug(`No manifest found for dependency: ${dependencyName}`);
@@ -489,51 +1695,232 @@ module.exports = function (log) {
     }
     
     /**
-     * Validates that a dependency exists using require.resolve
+     * Picks the entries of a manifest that match the installed package version
+     * Manifests without `versions` are returned unchanged. Otherwise the first entry
+     * whose `range` is satisfied by the installed version is merged over the
+     * unversioned entries; without a match only the unversioned entries remain.
+     * @param {Object} manifest - Validated manifest
+     * @param {string} dependencyName - Name of the package the manifest describes
+     * @param {string} manifestPath - Path of the manifest (for messages)
+     * @returns {Object|null} Manifest for the installed version or null if nothing applies
+     */
+    function selectManifestVersion(manifest, dependencyName, manifestPath) {
+        if (!Array.isArray(manifest.versions)) {
+            return manifest;
+        }
+        
+        const { versions, ...unversioned } = manifest;
+        const hasUnversioned = Array.isArray(unversioned.middleware) || Array.isArray(unversioned.tasks) || !!unversioned.presets;
+        const version = getInstalledVersion(dependencyName);
+        const ranges = versions.map(entry => entry.range).join(', ');
+        
+        // The unversioned entries are the default, only their absence is worth a warning
+        const report = hasUnversioned ? log.verbose : log.warn;
+        
+        if (!version) {
+            report(`Cannot determine the installed version of ${dependencyName} to select an entry of ${manifestPath} (${ranges})${hasUnversioned ? ' - using the entries without version range' : ' - extension is not loaded'}`);
+            return hasUnversioned ? unversioned : null;
+        }
+        
+        const match = versions.find(entry => semver.satisfies(version, entry.range, { includePrerelease: true }));
+        if (!match) {
+            report(`${manifestPath} has no entry for ${dependencyName}@${version} (ranges: ${ranges})${hasUnversioned ? ' - using the entries without version range' : ' - extension is not loaded'}`);
+            return hasUnversioned ? unversioned : null;
+        }
+        
+        log.verbose(`Using manifest entries for ${dependencyName}@${version} (range ${match.range})`);
+        const entries = { ...match };
+        delete entries.range;
+        return { ...unversioned, ...entries };
+    }
+    
+    /**
+     * Gets the installed version of a package
+     * @param {string} packageName - Name of the package
+     * @returns {string|null} Version from the package's package.json or null if unknown
+     */
+    function getInstalledVersion(packageName) {
+        const packageDir = getPackageDir(packageName);
+        const packageJson = packageDir && workspace.readPackageJson(path.join(packageDir, 'package.json'));
+        return (packageJson && packageJson.version) || null;
+    }
+    
+    /**
+     * Validates that a dependency is installed using Node module resolution
      * @param {string} dependencyName - Name of the dependency
      * @returns {boolean} True if dependency exists
      */
     function dependencyExists(dependencyName) {
+        return getPackageDir(dependencyName) !== null;
+    }
+    
+    /**
+     * Resolves the root directory of an installed package, including hoisted
+     * and workspace packages
+     * @param {string} packageName - Name of the package
+     * @returns {string|null} Absolute package directory or null if not installed
+     */
+    function getPackageDir(packageName) {
+        return nestedPackageDirs.get(packageName) || workspace.resolvePackageDir(packageName);
+    }
+    
+    /**
+     * Reads the `kind: extension` documents from a package's ui5.yaml
+     * @param {string} packageName - Name of the package
+     * @returns {Array} Extension definitions with name, type, absolute module path and origin
+     */
+    function loadExtensionDefinitions(packageName) {
+        if (extensionDefinitionCache.has(packageName)) {
+            return extensionDefinitionCache.get(packageName);
+        }
+        
+        const packageDir = getPackageDir(packageName);
+        if (!packageDir) {
+            log.debug(`Package '${packageName}' is not installed`);
+            extensionDefinitionCache.set(packageName, []);
+            return [];
+        }
+        
+        const definitions = readExtensionDefinitions(packageDir, packageName);
+        extensionDefinitionCache.set(packageName, definitions);
+        return definitions;
+    }
+    
+    /**
+     * Reads the `kind: extension` documents from the ui5.yaml in a directory
+     * @param {string} packageDir - Package root directory
+     * @param {string} packageName - Name of the package (for reporting)
+     * @returns {Array} Extension definitions with name, type, absolute module path and origin
+     */
+    function readExtensionDefinitions(packageDir, packageName) {
+        const definitions = [];
+        
+        const configPath = path.join(packageDir, 'ui5.yaml');
+        if (!fs.existsSync(configPath)) {
+            log.debug(`Package '${packageName}' has no ui5.yaml at ${configPath}`);
+            return definitions;
+        }
+        
+        let documents;
         try {
-            require.resolve(dependencyName, { paths: [process.cwd()] });
-            return true;
+            documents = yaml.loadAll(fs.readFileSync(configPath, 'utf8'), null, { filename: configPath });
         } catch (error) {
-            // Fallback to checking node_modules directory
-            const depPath = path.resolve('node_modules', dependencyName);
-            return fs.existsSync(depPath);
+            log.error(`Failed to parse ${configPath}: ${error.message}`);
+            return definitions;
         }
+        
+        documents.forEach((doc, documentIndex) => {
+            if (!doc || doc.kind !== 'extension' || !doc.metadata || !doc.metadata.name) {
+                return;
+            }
+            
+            let modulePath;
+            if (doc.type === 'server-middleware' && doc.middleware) {
+                modulePath = doc.middleware.path;
+            } else if (doc.type === 'task' && doc.task) {
+                modulePath = doc.task.path;
+            }
+            
+            if (!modulePath) {
+                return;
+            }
+            
+            definitions.push({
+                name: doc.metadata.name,
+                type: doc.type,
+                specVersion: doc.specVersion,
+                path: path.resolve(packageDir, modulePath),
+                packageName,
+                configPath,
+                documentIndex
+            });
+        });
+        
+        log.debug(`Package '${packageName}' defines ${definitions.length} extensions in ${configPath}`);
+        return definitions;
     }
     
     /**
-     * Maps extension names to package names
-     * @param {string} extensionName - Extension name
-     * @returns {string|null} Package name or null if not found
+     * Finds the ui5.yaml extension definition providing a discovered extension
+     * @param {Object} ext - Extension configuration with name, type and dependency
+     * @returns {Object|null} Extension definition or null if the package does not define it
      */
-    function getPackageNameFromExtension(extensionName) {
-        // Common patterns for UI5 tooling extensions
-        const mappings = {
-            'ui5-tooling-transpile-middleware': 'ui5-tooling-transpile',
-            'ui5-tooling-transpile-task': 'ui5-tooling-transpile',
-            'ui5-tooling-modules-middleware': 'ui5-tooling-modules',
-            'ui5-tooling-modules-task': 'ui5-tooling-modules',
-            'ui5-tooling-stringreplace-middleware': 'ui5-tooling-stringreplace',
-            'ui5-tooling-stringreplace-task': 'ui5-tooling-stringreplace',
-            'ui5-middleware-livereload': 'ui5-middleware-livereload'
-        };
+    function findExtensionDefinition(ext) {
+        const extensionType = ext.type === 'middleware' ? 'server-middleware' : 'task';
+        const definition = loadExtensionDefinitions(ext.dependency)
+            .find(def => def.name === getExtensionName(ext) && def.type === extensionType);
+        
+        if (!definition) {
+            log.warn(`Package '${ext.dependency}' does not define a '${extensionType}' extension named '${getExtensionName(ext)}' in its ui5.yaml`);
+            return null;
+        }
+        
+        log.verbose(`Resolved ${ext.type} '${ext.name}' from package '${definition.packageName}' (${definition.configPath}, document ${definition.documentIndex + 1}): ${definition.path}`);
+        return definition;
+    }
+    
+    // ========== MODULE LOADING ==========
+    
+    /**
+     * Checks whether a module file is an ES module
+     * Like Node.js, .mjs and .cjs decide by themselves, other files follow the
+     * `type` of the closest package.json.
+     * @param {string} modulePath - Absolute path of the module
+     * @returns {boolean} True if the module has to be loaded with import()
+     */
+    function isEsModule(modulePath) {
+        const extension = path.extname(modulePath);
+        if (extension === '.mjs' || extension === '.cjs') {
+            return extension === '.mjs';
+        }
         
-        // Check direct mapping first
-        if (mappings[extensionName]) {
-            return mappings[extensionName];
+        let dir = path.dirname(modulePath);
+        let packageJson = workspace.readPackageJson(path.join(dir, 'package.json'));
+        while (!packageJson && path.dirname(dir) !== dir) {
+            dir = path.dirname(dir);
+            packageJson = workspace.readPackageJson(path.join(dir, 'package.json'));
+        }
+        return !!packageJson && packageJson.type === 'module';
+    }
+    
+    /**
+     * Loads the module of an extension definition
+     * ES modules are loaded with import(), CommonJS modules with require(). The
+     * entry point is the first function of the module itself, its default export
+     * or the default export of a transpiled module (`exports.default` with
+     * `__esModule`). Modules exporting a promise are awaited.
+     * @param {Object} definition - Extension definition (see findExtensionDefinition)
+     * @returns {Promise<Object>} Object with the entry function (null if the module provides none)
+     *   and the module's determineRequiredDependencies function (null if not exported)
+     * @throws {Error} If the module cannot be loaded, with the original error as cause
+     */
+    async function loadExtensionModule(definition) {
+        const esModule = isEsModule(definition.path);
+        let moduleExports;
+        try {
+            moduleExports = await (esModule
+                ? import(pathToFileURL(definition.path).href)
+                : require(definition.path));
+        } catch (error) {
+            log.debug(`Loading ${definition.path} failed: ${error.stack}`);
+            throw new Error(`Failed to load ${definition.type === 'task' ? 'task' : 'middleware'} '${definition.name}' from ${definition.path}: ${error.message}`, { cause: error });
         }
         
-        // Try to derive package name from extension name
-        const match = extensionName.match(/^(.+)-(middleware|task)$/);
-        if (match) {
-            return match[1];
+        // Module, default export and default export of a transpiled module
+        const candidates = [];
+        let current = moduleExports;
+        while (current && (typeof current === 'object' || typeof current === 'function') && !candidates.includes(current) && candidates.length < 3) {
+            candidates.push(current);
+            current = current.default;
         }
         
-        // Fallback: assume extension name is the package name
-        return extensionName;
+        const entry = candidates.find(exported => typeof exported === 'function') || null;
+        const determineRequiredDependencies = candidates
+            .map(exported => exported.determineRequiredDependencies)
+            .find(exported => typeof exported === 'function') || null;
+        
+        log.verbose(`Loaded ${esModule ? 'ES' : 'CommonJS'} module ${definition.path}`);
+        return { entry, determineRequiredDependencies };
     }
     
     // ========== MAIN PIPELINE FUNCTION ==========
@@ -543,99 +1930,169 @@ module.exports = function (log) {
      * @param {Object} options - Configuration options
      * @param {Object} options.context - UI5 tooling context
      * @param {string} options.manifestsDir - Directory containing fallback manifests
+     * @param {Object} [options.result] - Result of processPipeline in serve mode (the pipeline runs if not given)
      * @returns {Object} Object containing loaded middleware functions
+     * @throws {Error} If a middleware module cannot be loaded or its factory fails
      */
-    async function loadPlugins({ context, manifestsDir = 'manifests' }) {
-        const { options = {} } = context;
+    async function loadPlugins({ context, manifestsDir = 'manifests', result: pipelineResult }) {
+        const { options = {}, middlewareUtil } = context;
         
         // Use the pipeline to get configurations
-        const result = processPipeline({
+        const result = pipelineResult || processPipeline({
             config: options,
-            manifestsDir
+            manifestsDir,
+            mode: 'serve',
+            projectGraph: middlewareUtil
         });
         
+        // Record or verify the resolved middleware before any of their code runs
+        if (result.config.lock || lock.isFrozen()) {
+            lock.syncLock({ result, section: 'middleware', configPath: ui5Config.getActiveConfigPath() });
+        }
+        
         const loadedMiddlewares = [];
         
         // Load actual middleware functions for each configuration
         for (const config of result.middleware) {
+            const { name, configuration = {} } = config;
+            const definition = findExtensionDefinition(config);
+            
+            if (!definition) {
+                log.warn(`Skipping middleware '${name}' - no entry point found`);
+                continue;
+            }
+            
+            const { entry } = await loadExtensionModule(definition);
+            if (!entry) {
+                throw new Error(`Middleware '${name}' cannot be loaded - ${definition.path} does not export a function`);
+            }
+            
+            // Initialize the middleware with context and configuration
+            let middlewareFunction;
             try {
-                const { name, configuration = {} } = config;
-                const packageName = getPackageNameFromExtension(name);
-                
-                if (!packageName || !dependencyExists(packageName)) {
-                    log.warn(`Package '${packageName}' not found, skipping middleware '${name}'`);
-                    continue;
-                }
-                
-                // Try different possible entry points
-                const possiblePaths = [
-                    `${packageName}/lib/middleware.js`,
-                    `${packageName}/lib/livereload.js`, 
-                    `${packageName}/middleware.js`,
-                    `${packageName}/index.js`,
-                    packageName
-                ];
-                
-                let middlewareFunction = null;
-                for (const possiblePath of possiblePaths) {
-                    try {
-                        const middlewarePath = require.resolve(possiblePath, { paths: [process.cwd()] });
-                        const middlewareModule = require(middlewarePath);
-                        
-                        // Initialize the middleware with context and configuration
-                        if (typeof middlewareModule === 'function') {
-                            middlewareFunction = await middlewareModule({
-                                ...context,
-                                options: {
-                                    ...configuration,
-                                    middlewareName: name
-                                }
-                            });
-                        }
-                        break;
-                    } catch (e) {
-                        // Try next path
+                middlewareFunction = await entry({
+                    ...context,
+                    options: {
+                        configuration,
+                        middlewareName: name
                     }
-                }
-                
-                if (middlewareFunction) {
-                    loadedMiddlewares.push({
-                        name,
-                        function: middlewareFunction
-                    });
-                    log.info(`Loaded middleware: ${name}`);
-                } else {
-                    log.warn(`Failed to load middleware: ${name}`);
-                }
+                });
             } catch (error) {
-                log.error(`Error loading middleware '${config.name}': ${error.message}`);
+                log.debug(`Initializing middleware '${name}' failed: ${error.stack}`);
+                throw new Error(`Failed to initialize middleware '${name}' from ${definition.path}: ${error.message}`, { cause: error });
+            }
+            
+            if (typeof middlewareFunction !== 'function') {
+                log.warn(`Skipping middleware '${name}' - the factory in ${definition.path} did not return a middleware function`);
+                continue;
             }
+            
+            loadedMiddlewares.push({
+                name,
+                mountPath: config.mountPath,
+                function: middlewareFunction
+            });
+            log.info(`Loaded middleware: ${name}`);
         }
         
         return { loadedMiddlewares };
     }
 
+    /**
+     * Load the module functions of all build tasks selected by the pipeline
+     * @param {Object} options - Configuration options
+     * @param {Object} options.context - UI5 tooling context
+     * @param {string} options.manifestsDir - Directory containing fallback manifests
+     * @returns {Object} Object containing loaded task functions in execution order and the pipeline result
+     * @throws {Error} If a task module cannot be loaded or does not export a function
+     */
+    async function loadTasks({ context, manifestsDir = 'manifests' }) {
+        const { options = {}, taskUtil, projectGraph = taskUtil } = context;
+        
+        // Use the pipeline to get configurations
+        const result = processPipeline({
+            config: options,
+            manifestsDir,
+            mode: 'build',
+            projectGraph
+        });
+        
+        // Record or verify the resolved tasks before any of their code runs
+        if (result.config.lock || lock.isFrozen()) {
+            lock.syncLock({ result, section: 'tasks', configPath: ui5Config.getActiveConfigPath() });
+        }
+        
+        const loadedTasks = [];
+        
+        for (const config of result.tasks) {
+            const { name, configuration = {} } = config;
+            const definition = findExtensionDefinition(config);
+            
+            if (!definition) {
+                log.warn(`Skipping task '${name}' - no entry point found`);
+                continue;
+            }
+            
+            const { entry, determineRequiredDependencies } = await loadExtensionModule(definition);
+            if (!entry) {
+                throw new Error(`Task '${name}' cannot be loaded - ${definition.path} does not export a function`);
+            }
+            
+            loadedTasks.push({
+                name,
+                configuration,
+                function: entry,
+                specVersion: definition.specVersion,
+                determineRequiredDependencies
+            });
+            log.info(`Loaded task: ${name}`);
+        }
+        
+        return { loadedTasks, result };
+    }
+
     /**
      * Main pipeline function that processes plugin configurations
      * @param {Object} options - Pipeline options
      * @param {Object} options.config - Raw configuration from UI5 tooling
      * @param {string} options.manifestsDir - Path to fallback manifests directory
+     * @param {string|null} [options.configPath] - Project ui5.yaml checked for static registrations
+     *   (defaults to the file UI5 tooling was started with, null disables the check)
+     * @param {string|string[]} [options.profile] - Configuration profiles to apply (see loadConfig)
+     * @param {string} [options.mode] - 'serve' or 'build', used by manifest activation conditions
+     * @param {Object} [options.projectGraph] - Access to the UI5 project graph for `discovery.projectGraph`,
+     *   e.g. the middlewareUtil or taskUtil (see getGraphProjectDirs)
      * @returns {Object} Processed middleware and task configurations
      */
-    function processPipeline({ config = {}, manifestsDir = 'manifests' }) {
+    function processPipeline({ config = {}, manifestsDir = 'manifests', configPath, profile, mode, projectGraph }) {
         log.info('Starting UI5 Plugin Loader pipeline...');
         const startTime = Date.now();
         
         try {
             // Execute pipeline steps in order
-            const normalizedConfig = loadConfig(config);
-            const extensions = discoverManifests(manifestsDir);
-            const withoutDisabled = applyDisable(extensions, normalizedConfig.disable);
-            const withDefaults = fillDefaults(withoutDisabled);
+            const activeConfigPath = configPath || ui5Config.getActiveConfigPath();
+            const normalizedConfig = loadConfig(config, profile, path.dirname(path.resolve(activeConfigPath)));
+            const inactive = [];
+            const presets = [];
+            const blocked = [];
+            const projectContext = getActivationContext(activeConfigPath, mode);
+            const extensions = discoverManifests(manifestsDir, projectContext, inactive, presets, normalizedConfig.discovery, projectGraph);
+            const trusted = applyTrust(extensions, normalizedConfig.trust, projectContext.projectDir, blocked);
+            // Presets of blocked packages would configure extensions on their behalf
+            const trustedPresets = presets.filter(preset => !blocked.some(ext => ext.dependency === preset.dependency));
+            const withPreset = applyPreset(trusted, normalizedConfig.preset, trustedPresets);
+            const withoutDisabled = applyDisable(withPreset, normalizedConfig.disable, normalizedConfig.enable);
+            const registrations = configPath === null ? [] : getStaticRegistrations(activeConfigPath);
+            const withoutConflicts = detectConflicts(withoutDisabled, normalizedConfig, registrations);
+            const withDefaults = fillDefaults(withoutConflicts);
             const withOverrides = applyOverride(withDefaults, normalizedConfig.override);
-            const validated = validateRefs(withOverrides);
+            const resolved = resolvePlaceholders(withOverrides, getInterpolationContext(activeConfigPath));
+            const validated = validateRefs(validateConfigurations(resolved), {
+                specVersion: projectContext.specVersion,
+                strict: normalizedConfig.strict
+            });
             const deduplicated = deduplicate(validated);
-            const sorted = smartSort(deduplicated);
+            const sorted = smartSort(deduplicated, { strict: normalizedConfig.strict });
             
             // Separate middleware and tasks
             const middleware = sorted.filter(ext => ext.type === 'middleware');
@@ -648,7 +2105,23 @@ module.exports = function (log) {
                 middleware,
                 tasks,
                 duration,
-                total: sorted.length
+                total: sorted.length,
+                config: normalizedConfig,
+                projectDir: projectContext.projectDir,
+                // Intermediate results for reporting (see lib/explain.js)
+                stages: {
+                    inactive,
+                    discovered: extensions,
+                    blocked,
+                    trusted,
+                    presets,
+                    withPreset,
+                    enabled: withoutDisabled,
+                    registrations,
+                    withoutConflicts,
+                    merged: withOverrides,
+                    deduplicated
+                }
             };
             
         } catch (error) {
@@ -663,22 +2136,51 @@ module.exports = function (log) {
         // Pipeline functions
         loadConfig,
         discoverManifests,
+        applyTrust,
+        applyPreset,
         applyDisable,
+        detectConflicts,
         fillDefaults,
         applyOverride,
+        resolvePlaceholders,
+        validateConfigurations,
         validateRefs,
         deduplicate,
         smartSort,
         processPipeline,
         loadPlugins,
+        loadTasks,
         
         // Utility functions
+        getOrderingConstraints,
+        loadConfigFile,
+        layerConfig,
+        mergeConfiguration,
+        matchesPattern,
+        findMatchingPattern,
+        getEffectivePriority,
+        getStandardExtensions,
+        checkTrust,
+        getExtensionName,
         loadManifest,
         getRootPackageJson,
+        getStaticRegistrations,
+        getActivationContext,
+        checkActivation,
+        getInterpolationContext,
+        getUnresolvedConfiguration,
         getAllDependencies,
+        collectDependencies,
         findManifestForDependency,
+        selectManifestVersion,
+        getInstalledVersion,
         dependencyExists,
-        getPackageNameFromExtension,
+        getPackageDir,
+        loadExtensionDefinitions,
+        readExtensionDefinitions,
+        findExtensionDefinition,
         validateManifest
     };
-}; 
\ No newline at end of file
+}; 
+
+module.exports.getUnresolvedConfiguration = getUnresolvedConfiguration;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { LOADER_MIDDLEWARE_NAME, LOADER_TASK_NAME } = require('./ui5config');
+
+/**
+ * Eject support for the UI5 Plugin Loader
+ * Turns the resolved plugin set into static customMiddleware/customTasks entries
+ * so a project can run without the loader
+ */
+
+// Properties of a loader entry in ui5.yaml that position it in the UI5 chain
+const MIDDLEWARE_ANCHOR_KEYS = ['afterMiddleware', 'beforeMiddleware'];
+const TASK_ANCHOR_KEYS = ['afterTask', 'beforeTask'];
+
+module.exports = function (log) {
+
+    const coreFunctions = require('./core')(log);
+
+    /**
+     * Gets the position of a loader entry, falling back to the documented default
+     * @param {Object|null} entry - Loader entry from ui5.yaml
+     * @param {string[]} keys - Anchor property names
+     * @param {Object} defaultAnchor - Anchor used when the entry has none
+     * @returns {Object} Object with a single after/before property
+     */
+    function getAnchor(entry, keys, defaultAnchor) {
+        const key = entry && keys.find(anchorKey => entry[anchorKey]);
+        return key ? { [key]: entry[key] } : defaultAnchor;
+    }
+
+    /**
+     * Creates one chained list of ui5.yaml entries
+     * Entries are chained with `after*` behind each other; when the loader was
+     * positioned with `before*`, every entry is inserted before that target in order.
+     * @param {Array} extensions - Sorted extensions of one type
+     * @param {Object} anchor - Position of the loader entry ({ afterX } or { beforeX })
+     * @param {string} afterKey - afterMiddleware or afterTask
+     * @param {Function} getConfiguration - Returns the configuration to write for an extension
+     * @returns {Object[]} ui5.yaml entries
+     */
+    function createChain(extensions, anchor, afterKey, getConfiguration) {
+        let previous = null;
+        const occurrences = new Map();
+
+        return extensions.map(ext => {
+            // Instances become repeated entries of the same extension, which UI5 tooling
+            // tells apart by appending --1, --2, ... to every further occurrence
+            const extensionName = ext.extension || ext.name;
+            const occurrence = occurrences.get(extensionName) || 0;
+            occurrences.set(extensionName, occurrence + 1);
+
+            const entry = { name: extensionName };
+            if (previous && anchor[afterKey]) {
+                entry[afterKey] = previous;
+            } else {
+                Object.assign(entry, anchor);
+            }
+            if (ext.mountPath) {
+                entry.mountPath = ext.mountPath;
+            }
+            const configuration = getConfiguration(ext);
+            if (Object.keys(configuration).length > 0) {
+                entry.configuration = configuration;
+            }
+            previous = occurrence === 0 ? extensionName : `${extensionName}--${occurrence}`;
+            return entry;
+        });
+    }
+
+    /**
+     * Creates static ui5.yaml entries equivalent to a pipeline result
+     * Configurations are written before placeholder resolution, so the entries
+     * contain no values from the environment.
+     * @param {Object} result - Result of processPipeline (middleware and tasks)
+     * @param {Object} [options] - Eject options
+     * @param {Object} [options.middlewareEntry] - Loader middleware entry from ui5.yaml (defines the position)
+     * @param {Object} [options.taskEntry] - Loader task entry from ui5.yaml (defines the position)
+     * @returns {Object} Object with customMiddleware and customTasks arrays
+     */
+    function createEjectedEntries(result, { middlewareEntry = null, taskEntry = null } = {}) {
+        const middlewareAnchor = getAnchor(middlewareEntry, MIDDLEWARE_ANCHOR_KEYS, { afterMiddleware: 'compression' });
+        const taskAnchor = getAnchor(taskEntry, TASK_ANCHOR_KEYS, { afterTask: 'replaceVersion' });
+
+        const getConfiguration = ext => coreFunctions.getUnresolvedConfiguration(result, ext);
+
+        return {
+            customMiddleware: createChain(result.middleware, middlewareAnchor, 'afterMiddleware', getConfiguration),
+            customTasks: createChain(result.tasks, taskAnchor, 'afterTask', getConfiguration)
+        };
+    }
+
+    /**
+     * Replaces the loader entry of a ui5.yaml section with the ejected entries
+     * Entries with the same name as an ejected entry are replaced as well;
+     * all other entries are kept.
+     * @param {Object} projectDoc - Project document of the ui5.yaml
+     * @param {string[]} sectionPath - Path to the entry list, e.g. ['server', 'customMiddleware']
+     * @param {string} loaderName - Name of the loader entry
+     * @param {Object[]} entries - Ejected entries
+     */
+    function replaceLoaderEntry(projectDoc, sectionPath, loaderName, entries) {
+        const [sectionKey, listKey] = sectionPath;
+        const section = projectDoc[sectionKey];
+        const items = section && Array.isArray(section[listKey]) ? section[listKey] : null;
+
+        if (!items) {
+            if (entries.length === 0) {
+                return;
+            }
+            projectDoc[sectionKey] = { ...(section && typeof section === 'object' ? section : {}), [listKey]: entries };
+            return;
+        }
+
+        const ejectedNames = new Set(entries.map(entry => entry.name));
+        const isEjected = item => item && ejectedNames.has(item.name);
+        const loaderIndex = items.findIndex(item => item && item.name === loaderName);
+        const insertAt = loaderIndex === -1 ? items.length : loaderIndex;
+
+        const before = items.slice(0, insertAt).filter(item => !isEjected(item));
+        const after = items.slice(loaderIndex === -1 ? insertAt : insertAt + 1).filter(item => !isEjected(item));
+
+        section[listKey] = [...before, ...entries, ...after];
+    }
+
+    /**
+     * Writes ejected entries into the project document of a ui5.yaml source
+     * @param {string} source - Content of the ui5.yaml
+     * @param {Object} entries - Result of createEjectedEntries
+     * @returns {string} Updated ui5.yaml content
+     * @throws {Error} If the source cannot be parsed or has no project document
+     */
+    function ejectIntoConfig(source, entries) {
+        const ui5Config = require('./ui5config')(log);
+
+        return ui5Config.updateCustomEntries(source, projectDoc => {
+            replaceLoaderEntry(projectDoc, ['server', 'customMiddleware'], LOADER_MIDDLEWARE_NAME, entries.customMiddleware);
+            replaceLoaderEntry(projectDoc, ['builder', 'customTasks'], LOADER_TASK_NAME, entries.customTasks);
+        });
+    }
+
+    /**
+     * Ejects the plugin set of a project into a ui5.yaml
+     * Middleware are resolved with the configuration of the loader middleware entry,
+     * tasks with the configuration of the loader task entry.
+     * @param {Object} options - Eject options
+     * @param {string} [options.configPath] - Source ui5.yaml (defaults to ui5.yaml in process.cwd())
+     * @param {string} [options.outputPath] - Target file; the source is updated when it is the same file
+     * @param {string} [options.manifestsDir] - Path to fallback manifests directory
+     * @param {string|string[]} [options.profile] - Configuration profiles to apply
+     * @returns {string} Content of the ejected ui5.yaml
+     */
+    function ejectProject({ configPath = 'ui5.yaml', outputPath, manifestsDir = path.resolve(__dirname, '..', 'manifests'), profile } = {}) {
+        const ui5Config = require('./ui5config')(log);
+
+        const projectConfig = ui5Config.readProjectConfig(configPath);
+        if (!projectConfig) {
+            throw new Error(`${path.resolve(configPath)} not found`);
+        }
+
+        const { documents } = projectConfig;
+        const middlewareEntry = ui5Config.getCustomMiddleware(documents).find(mw => mw.name === LOADER_MIDDLEWARE_NAME) || null;
+        const taskEntry = ui5Config.getCustomTasks(documents).find(task => task.name === LOADER_TASK_NAME) || null;
+
+        // Both entries are resolved separately, so take the unresolved configurations from each result
+        const getExtensions = (entry, section) => {
+            if (!entry) {
+                return [];
+            }
+            const result = coreFunctions.processPipeline({ config: entry.configuration || {}, manifestsDir, configPath, profile });
+            return result[section].map(ext => ({ ...ext, configuration: coreFunctions.getUnresolvedConfiguration(result, ext) }));
+        };
+        const middleware = getExtensions(middlewareEntry, 'middleware');
+        const tasks = getExtensions(taskEntry, 'tasks');
+
+        if (!middlewareEntry && !taskEntry) {
+            log.warn(`${projectConfig.path} does not register ${LOADER_MIDDLEWARE_NAME} or ${LOADER_TASK_NAME} - nothing to eject`);
+        }
+
+        const entries = createEjectedEntries({ middleware, tasks }, { middlewareEntry, taskEntry });
+        const content = ejectIntoConfig(fs.readFileSync(projectConfig.path, 'utf8'), entries);
+
+        if (outputPath) {
+            fs.writeFileSync(path.resolve(outputPath), content);
+            log.info(`Ejected ${entries.customMiddleware.length} middleware and ${entries.customTasks.length} tasks into ${path.resolve(outputPath)}`);
+        }
+
+        return content;
+    }
+
+    return {
+        createEjectedEntries,
+        ejectIntoConfig,
+        ejectProject
+    };
+};
@@ -0,0 +1,232 @@
+const path = require('path');
+
+/**
+ * Explain mode for the UI5 Plugin Loader
+ * Builds a report of what the pipeline decided without booting UI5 tooling
+ */
+
+// Logger used when the report is created from a script without a logger
+const silentLogger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    verbose: () => {},
+    debug: () => {}
+};
+
+module.exports = function (log = silentLogger) {
+
+    const coreFunctions = require('./core')(log);
+
+    /**
+     * Describes why an extension ended up at its position
+     * @param {Object} ext - Sorted extension configuration
+     * @param {Set<string>} loadedNames - Names of all loaded extensions
+     * @returns {string} Human-readable ordering reason
+     */
+    function describeOrdering(ext, loadedNames) {
+        const reasons = coreFunctions.getOrderingConstraints(ext)
+            .filter(({ before, after }) => loadedNames.has(before) && loadedNames.has(after))
+            .map(({ before, after, constraint }) => (after === ext.name
+                ? `before ${before} (${constraint})`
+                : `after ${after} (${constraint})`));
+
+        const deps = ext.dependencies || {};
+        if (Number.isInteger(deps.priority)) {
+            reasons.push(`priority ${deps.priority}`);
+        } else if (deps.category) {
+            reasons.push(`priority ${coreFunctions.getEffectivePriority(ext)} (category ${deps.category})`);
+        } else {
+            reasons.push(`priority ${coreFunctions.getEffectivePriority(ext)} (default)`);
+        }
+
+        return reasons.join(', ');
+    }
+
+    /**
+     * Reports the decision taken for every discovered extension
+     * @param {Object} result - Result of processPipeline
+     * @returns {Object} Report with config, extensions and final middleware/task order
+     */
+    function buildExplainReport(result) {
+        const { inactive = [], discovered, blocked = [], withPreset = discovered, enabled, registrations, withoutConflicts, deduplicated } = result.stages;
+
+        const blockedReasons = new Map(blocked.map(ext => [ext._index, ext.reason]));
+        const presetIndexes = new Set(withPreset.map(ext => ext._index));
+        const enabledIndexes = new Set(enabled.map(ext => ext._index));
+        const unconflictedIndexes = new Set(withoutConflicts.map(ext => ext._index));
+        const findRegistration = ext => registrations
+            .find(reg => reg.name === coreFunctions.getExtensionName(ext) && reg.type === ext.type);
+        const keptIndexes = new Set(deduplicated.map(ext => ext._index));
+        const loadedNames = new Set([...result.middleware, ...result.tasks].map(ext => ext.name));
+
+        const extensions = discovered.flatMap(ext => {
+            const entry = {
+                name: ext.name,
+                type: ext.type,
+                dependency: ext.dependency,
+                origin: ext.origin || [],
+                source: ext.source,
+                status: 'active',
+                overridden: Object.prototype.hasOwnProperty.call(result.config.override, ext.name),
+                position: null,
+                reason: null,
+                configuration: null
+            };
+
+            if (blockedReasons.has(ext._index)) {
+                entry.status = 'blocked';
+                entry.reason = blockedReasons.get(ext._index);
+                return [entry];
+            }
+
+            if (!presetIndexes.has(ext._index)) {
+                entry.status = 'disabled';
+                entry.reason = `not part of preset '${result.config.preset}'`;
+                return [entry];
+            }
+
+            if (!enabledIndexes.has(ext._index)) {
+                const pattern = coreFunctions.findMatchingPattern(ext, result.config.disable);
+                entry.status = 'disabled';
+                if (result.config.enable && !coreFunctions.findMatchingPattern(ext, result.config.enable)) {
+                    entry.reason = 'not listed in enable';
+                } else {
+                    entry.reason = pattern === ext.name ? 'listed in disable' : `matches '${pattern}' in disable`;
+                }
+                return [entry];
+            }
+
+            if (!unconflictedIndexes.has(ext._index)) {
+                entry.status = 'skipped';
+                entry.reason = `registered in ${findRegistration(ext).location} of ui5.yaml`;
+                return [entry];
+            }
+
+            if (!keptIndexes.has(ext._index)) {
+                const first = deduplicated.find(kept => kept.name === ext.name);
+                if (!first) {
+                    entry.status = 'disabled';
+                    entry.reason = 'override defines no instances';
+                    return [entry];
+                }
+                entry.status = 'deduplicated';
+                entry.reason = `duplicate of ${first.name} from ${first.dependency}`;
+                return [entry];
+            }
+
+            // One entry per loaded copy - more than one if the extension runs as instances
+            const ordered = ext.type === 'middleware' ? result.middleware : result.tasks;
+            return ordered.filter(finalExt => finalExt._index === ext._index).map(finalExt => {
+                const loadedEntry = { ...entry, name: finalExt.name };
+                loadedEntry.position = ordered.indexOf(finalExt) + 1;
+                loadedEntry.reason = describeOrdering(finalExt, loadedNames);
+                if (finalExt.name !== ext.name) {
+                    loadedEntry.instanceOf = ext.name;
+                    loadedEntry.reason = `instance of ${ext.name}, ${loadedEntry.reason}`;
+                }
+                if (findRegistration(ext)) {
+                    loadedEntry.reason += `; also registered in ${findRegistration(ext).location} of ui5.yaml`;
+                }
+                // Placeholders stay unresolved, so secrets from the environment do not end up in logs
+                loadedEntry.configuration = coreFunctions.getUnresolvedConfiguration(result, finalExt);
+                ['afterMiddleware', 'beforeMiddleware', 'afterTask', 'beforeTask', 'mountPath'].forEach(key => {
+                    if (finalExt[key] !== undefined) {
+                        loadedEntry[key] = finalExt[key];
+                    }
+                });
+                return loadedEntry;
+            });
+        });
+
+        // Entries whose activation conditions were not met never reached the pipeline
+        inactive.forEach(ext => {
+            extensions.push({
+                name: ext.name,
+                type: ext.type,
+                dependency: ext.dependency,
+                origin: ext.origin || [],
+                source: ext.source,
+                status: 'inactive',
+                overridden: Object.prototype.hasOwnProperty.call(result.config.override, ext.name),
+                position: null,
+                reason: ext.reason,
+                configuration: null
+            });
+        });
+
+        return {
+            config: result.config,
+            extensions,
+            middleware: result.middleware.map(ext => ext.name),
+            tasks: result.tasks.map(ext => ext.name)
+        };
+    }
+
+    /**
+     * Runs the pipeline and reports the decision taken for every discovered extension
+     * @param {Object} options - Explain options
+     * @param {Object} options.config - Loader configuration as in ui5.yaml
+     * @param {string} [options.manifestsDir] - Path to fallback manifests directory
+     * @param {string} [options.configPath] - Project ui5.yaml checked for static registrations
+     * @param {string|string[]} [options.profile] - Configuration profiles to apply
+     * @returns {Object} Report with config, extensions and final middleware/task order
+     */
+    function explainPipeline({ config = {}, manifestsDir = path.resolve(__dirname, '..', 'manifests'), configPath, profile } = {}) {
+        return buildExplainReport(coreFunctions.processPipeline({ config, manifestsDir, configPath, profile }));
+    }
+
+    /**
+     * Formats an explain report as human-readable table followed by the merged configurations
+     * @param {Object} report - Report created by explainPipeline
+     * @returns {string} Formatted report
+     */
+    function formatExplainReport(report) {
+        const columns = ['#', 'Type', 'Extension', 'Package', 'Source', 'Status', 'Reason'];
+        const rows = report.extensions.map(ext => [
+            ext.position === null ? '-' : String(ext.position),
+            ext.type,
+            ext.name,
+            ext.origin && ext.origin.length > 0 ? `${ext.dependency} (via ${ext.origin.join(' → ')})` : ext.dependency,
+            ext.source,
+            ext.overridden && ext.status === 'active' ? 'active (overridden)' : ext.status,
+            ext.reason || ''
+        ]);
+
+        // Per type: active extensions in execution order, then the skipped ones
+        const order = ext => (ext.position === null ? Infinity : ext.position);
+        const sortedRows = rows
+            .map((row, i) => ({ row, ext: report.extensions[i] }))
+            .sort((a, b) => a.ext.type.localeCompare(b.ext.type) || (order(a.ext) - order(b.ext)) || 0)
+            .map(({ row }) => row);
+
+        const widths = columns.map((column, i) => Math.max(column.length, ...sortedRows.map(row => row[i].length)));
+        const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+        const lines = [
+            formatRow(columns),
+            formatRow(widths.map(width => '-'.repeat(width))),
+            ...sortedRows.map(formatRow)
+        ];
+
+        if (report.extensions.length === 0) {
+            lines.push('No extensions discovered');
+        }
+
+        report.extensions
+            .filter(ext => ext.status === 'active')
+            .sort((a, b) => a.type.localeCompare(b.type) || a.position - b.position)
+            .forEach(ext => {
+                lines.push('', `${ext.name} configuration:`);
+                lines.push(...JSON.stringify(ext.configuration, null, 2).split('\n').map(line => `  ${line}`));
+            });
+
+        return lines.join('\n');
+    }
+
+    return {
+        buildExplainReport,
+        explainPipeline,
+        formatExplainReport
+    };
+};
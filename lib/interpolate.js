@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Placeholder interpolation for extension configuration
+ * Resolves ${env:NAME}, ${env:NAME:-default}, ${project:key} and ${package:key}
+ * inside configuration values before they are passed to the extensions
+ */
+
+// ${scope:key} or ${env:NAME:-default}; $${...} is kept as literal ${...}
+const PLACEHOLDER_PATTERN = /\$?\$\{([a-z]+):([^}:]+)(?::-([^}]*))?\}/g;
+
+module.exports = function (log) {
+
+    /**
+     * Parses the content of a .env file
+     * Supports comments, `export` prefixes and single or double quoted values.
+     * @param {string} content - Content of the .env file
+     * @returns {Object} Variables by name
+     */
+    function parseEnvFile(content) {
+        const variables = {};
+
+        content.split(/\r?\n/).forEach(line => {
+            const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)?\s*$/);
+            if (!match) {
+                return;
+            }
+
+            let value = (match[2] || '').trim();
+            const quote = value[0];
+            if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length > 1) {
+                value = value.slice(1, -1);
+                if (quote === '"') {
+                    value = value.replace(/\\n/g, '\n');
+                }
+            } else {
+                // Unquoted values end at an inline comment
+                value = value.replace(/\s+#.*$/, '');
+            }
+            variables[match[1]] = value;
+        });
+
+        return variables;
+    }
+
+    /**
+     * Reads the .env file of a project directory
+     * @param {string} dir - Project directory
+     * @returns {Object} Variables by name (empty if there is no .env file)
+     */
+    function loadEnvFile(dir) {
+        const envPath = path.join(dir, '.env');
+        if (!fs.existsSync(envPath)) {
+            return {};
+        }
+
+        try {
+            const variables = parseEnvFile(fs.readFileSync(envPath, 'utf8'));
+            log.verbose(`Loaded ${Object.keys(variables).length} variables from ${envPath}`);
+            return variables;
+        } catch (error) {
+            log.warn(`Failed to read ${envPath}: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Creates the values placeholders are resolved against
+     * Variables of the process environment take precedence over the .env file.
+     * @param {Object} options - Context options
+     * @param {string} options.projectDir - Directory containing the .env file
+     * @param {Object|null} [options.projectDocument] - Project document of the ui5.yaml
+     * @param {Object|null} [options.packageJson] - Project package.json
+     * @returns {Object} Context with env, project and package values
+     */
+    function createContext({ projectDir, projectDocument = null, packageJson = null }) {
+        const project = {};
+        if (projectDocument) {
+            Object.assign(project, projectDocument.metadata || {});
+            ['type', 'specVersion'].forEach(key => {
+                if (projectDocument[key] !== undefined) {
+                    project[key] = projectDocument[key];
+                }
+            });
+        }
+
+        return {
+            env: { ...loadEnvFile(projectDir), ...process.env },
+            project,
+            package: packageJson || {}
+        };
+    }
+
+    /**
+     * Resolves the placeholders of a string
+     * @param {string} value - String that may contain placeholders
+     * @param {Object} context - Context created by createContext
+     * @param {string[]} unresolved - Collects placeholders that could not be resolved
+     * @returns {string} String with resolved placeholders
+     */
+    function interpolateString(value, context, unresolved) {
+        return value.replace(PLACEHOLDER_PATTERN, (placeholder, scope, key, defaultValue) => {
+            if (placeholder.startsWith('$$')) {
+                return placeholder.slice(1);
+            }
+
+            const values = context[scope];
+            const resolved = values ? values[key] : undefined;
+            if (resolved !== undefined && resolved !== null && typeof resolved !== 'object' && resolved !== '') {
+                return String(resolved);
+            }
+            // Like in a shell, the default also replaces an empty value
+            if (defaultValue !== undefined) {
+                return defaultValue;
+            }
+            if (resolved === '') {
+                return resolved;
+            }
+
+            unresolved.push(placeholder);
+            return placeholder;
+        });
+    }
+
+    /**
+     * Resolves placeholders in all string values of a configuration
+     * Unresolved placeholders are kept as they are and reported with a warning.
+     * @param {*} value - Configuration value (objects and arrays are processed recursively)
+     * @param {Object} context - Context created by createContext
+     * @param {string} [source] - Description used in warnings, e.g. the extension name
+     * @returns {*} Value with resolved placeholders
+     */
+    function interpolate(value, context, source = 'configuration') {
+        const unresolved = [];
+
+        const resolve = (current, jsonPath) => {
+            if (typeof current === 'string') {
+                const before = unresolved.length;
+                const result = interpolateString(current, context, unresolved);
+                unresolved.slice(before).forEach((placeholder, i) => {
+                    unresolved[before + i] = `${placeholder} at ${jsonPath}`;
+                });
+                return result;
+            }
+            if (Array.isArray(current)) {
+                return current.map((item, index) => resolve(item, `${jsonPath}[${index}]`));
+            }
+            if (current && typeof current === 'object') {
+                const result = {};
+                Object.keys(current).forEach(key => {
+                    result[key] = resolve(current[key], `${jsonPath}.${key}`);
+                });
+                return result;
+            }
+            return current;
+        };
+
+        const resolved = resolve(value, 'configuration');
+        unresolved.forEach(placeholder => {
+            log.warn(`Unresolved placeholder ${placeholder} of ${source} - value is passed unchanged`);
+        });
+
+        return resolved;
+    }
+
+    return {
+        parseEnvFile,
+        loadEnvFile,
+        createContext,
+        interpolate
+    };
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { getUnresolvedConfiguration } = require('./core');
+
+/**
+ * Lock file for the UI5 Plugin Loader
+ * Records the resolved extensions of every ui5.yaml with package versions,
+ * manifest hashes, order and merged configuration, and verifies them in frozen mode
+ */
+
+const LOCK_FILE_NAME = 'ui5-plugin-loader.lock.json';
+const LOCK_FILE_VERSION = 1;
+
+// Selection of frozen mode outside of ui5.yaml
+const FROZEN_ENV_VARIABLE = 'UI5_PLUGIN_LOADER_FROZEN';
+const FROZEN_ARGV_OPTION = 'plugin-loader-frozen';
+
+// Properties of a lock entry besides name and configuration, in output order
+const LOCKED_PROPERTIES = ['extension', 'package', 'version', 'integrity', 'source', 'manifest', 'mountPath'];
+
+module.exports = function (log) {
+
+    const trust = require('./trust')(log);
+    const ui5Config = require('./ui5config')(log);
+
+    /**
+     * Checks whether frozen mode is requested
+     * @param {boolean} [frozen] - Explicit selection (defaults to the --plugin-loader-frozen
+     *   option or the UI5_PLUGIN_LOADER_FROZEN environment variable)
+     * @returns {boolean} True in frozen mode
+     */
+    function isFrozen(frozen) {
+        if (frozen !== undefined && frozen !== null) {
+            return !!frozen;
+        }
+        const value = process.env[FROZEN_ENV_VARIABLE];
+        return ui5Config.hasArgvFlag(FROZEN_ARGV_OPTION) || (!!value && !['0', 'false'].includes(value.toLowerCase()));
+    }
+
+    /**
+     * Creates the lock entries of one pipeline section
+     * Configurations are taken before placeholder resolution, so the lock file
+     * contains no values from the environment.
+     * @param {Object} result - Result of processPipeline
+     * @param {string} section - 'middleware' or 'tasks'
+     * @returns {Object[]} Lock entries in execution order
+     */
+    function createLockEntries(result, section) {
+        return result[section].map(ext => {
+            const state = trust.getPackageState(ext.dependency, ext, result.projectDir);
+            const values = { ...state, package: ext.dependency, extension: ext.extension, mountPath: ext.mountPath };
+
+            const entry = { name: ext.name };
+            LOCKED_PROPERTIES.forEach(key => {
+                if (values[key] !== undefined && values[key] !== null) {
+                    entry[key] = values[key];
+                }
+            });
+            entry.configuration = getUnresolvedConfiguration(result, ext);
+            return entry;
+        });
+    }
+
+    /**
+     * Reads a lock file
+     * @param {string} filePath - Path of the lock file
+     * @returns {Object|null} Lock file content or null if the file does not exist
+     * @throws {Error} If the file cannot be parsed or has an unknown version
+     */
+    function readLockFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read lock file ${filePath}: ${error.message}`);
+        }
+        if (content.lockfileVersion !== LOCK_FILE_VERSION) {
+            throw new Error(`Lock file ${filePath} has unsupported lockfileVersion ${content.lockfileVersion} - expected ${LOCK_FILE_VERSION}`);
+        }
+        return content;
+    }
+
+    /**
+     * Compares locked entries with resolved entries
+     * @param {Object[]} locked - Entries from the lock file
+     * @param {Object[]} resolved - Entries created from the pipeline result
+     * @returns {string[]} Human-readable differences (empty if both match)
+     */
+    function compareLockEntries(locked, resolved) {
+        const differences = [];
+        const lockedByName = new Map(locked.map(entry => [entry.name, entry]));
+        const resolvedByName = new Map(resolved.map(entry => [entry.name, entry]));
+
+        locked.filter(entry => !resolvedByName.has(entry.name)).forEach(entry => {
+            differences.push(`'${entry.name}' is locked but no longer loaded`);
+        });
+        resolved.filter(entry => !lockedByName.has(entry.name)).forEach(entry => {
+            differences.push(`'${entry.name}' is loaded but not locked`);
+        });
+
+        resolved.filter(entry => lockedByName.has(entry.name)).forEach(entry => {
+            const lockedEntry = lockedByName.get(entry.name);
+            LOCKED_PROPERTIES.forEach(key => {
+                if (lockedEntry[key] !== entry[key]) {
+                    differences.push(`'${entry.name}' ${key} is ${entry[key] === undefined ? 'not set' : `'${entry[key]}'`}, locked ${lockedEntry[key] === undefined ? 'without it' : `'${lockedEntry[key]}'`}`);
+                }
+            });
+            if (!isDeepStrictEqual(lockedEntry.configuration, entry.configuration)) {
+                differences.push(`'${entry.name}' configuration differs from the locked one`);
+            }
+        });
+
+        // The order only matters for extensions in both lists
+        const lockedOrder = locked.map(entry => entry.name).filter(name => resolvedByName.has(name));
+        const resolvedOrder = resolved.map(entry => entry.name).filter(name => lockedByName.has(name));
+        if (!isDeepStrictEqual(lockedOrder, resolvedOrder)) {
+            differences.push(`order is ${resolvedOrder.join(' → ')}, locked ${lockedOrder.join(' → ')}`);
+        }
+
+        return differences;
+    }
+
+    /**
+     * Writes or verifies the lock file entries of one pipeline section
+     * In frozen mode the lock file is never written; a missing lock or any
+     * difference to it fails with an error listing the differences.
+     * @param {Object} options - Lock options
+     * @param {Object} options.result - Result of processPipeline
+     * @param {string} options.section - 'middleware' or 'tasks'
+     * @param {string} options.configPath - ui5.yaml the result was resolved for
+     * @param {boolean} [options.frozen] - Verify instead of writing (see isFrozen)
+     * @returns {string[]} Differences to the previous lock file content
+     * @throws {Error} In frozen mode, if the resolved extensions diverge from the lock file
+     */
+    function syncLock({ result, section, configPath, frozen }) {
+        const filePath = path.join(result.projectDir, LOCK_FILE_NAME);
+        const configName = path.relative(result.projectDir, path.resolve(configPath)).split(path.sep).join('/');
+        const content = readLockFile(filePath);
+        const lockedConfig = content && content.configs && content.configs[configName];
+        const locked = lockedConfig && lockedConfig[section];
+        const resolved = createLockEntries(result, section);
+
+        if (isFrozen(frozen)) {
+            if (!locked) {
+                throw new Error(`Frozen mode: ${filePath} has no ${section} entries for ${configName} - run 'ui5-plugin-loader lock' and commit the lock file`);
+            }
+            const differences = compareLockEntries(locked, resolved);
+            if (differences.length > 0) {
+                throw new Error(`Frozen mode: resolved ${section} of ${configName} diverge from ${filePath}:\n${differences.map(difference => `  - ${difference}`).join('\n')}`);
+            }
+            log.verbose(`Resolved ${section} of ${configName} match ${filePath}`);
+            return [];
+        }
+
+        const differences = locked ? compareLockEntries(locked, resolved) : [`${section} of ${configName} are not locked yet`];
+        if (differences.length === 0) {
+            log.verbose(`${filePath} is up to date`);
+            return differences;
+        }
+
+        const updated = content || { lockfileVersion: LOCK_FILE_VERSION, configs: {} };
+        updated.configs = { ...updated.configs, [configName]: { ...lockedConfig, [section]: resolved } };
+        fs.writeFileSync(filePath, `${JSON.stringify(updated, null, 2)}\n`);
+        log.info(`Updated ${section} of ${configName} in ${filePath}`);
+        differences.forEach(difference => log.verbose(`  ${difference}`));
+        return differences;
+    }
+
+    return {
+        isFrozen,
+        createLockEntries,
+        readLockFile,
+        compareLockEntries,
+        syncLock
+    };
+};
+
+module.exports.LOCK_FILE_NAME = LOCK_FILE_NAME;
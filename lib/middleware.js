@@ -39,7 +39,31 @@ function createDebugLogger(baseLogger, isDebugEnabled = false) {
     return logger;
 }
 
+/**
+ * Normalizes a mount path to a leading slash without trailing slash
+ * @param {string} [mountPath] - Mount path from the extension configuration
+ * @returns {string|null} Normalized mount path or null if the middleware applies to all requests
+ */
+function normalizeMountPath(mountPath) {
+    if (!mountPath || mountPath === '/') {
+        return null;
+    }
+    const withLeadingSlash = mountPath.startsWith('/') ? mountPath : `/${mountPath}`;
+    return withLeadingSlash.replace(/\/+$/, '');
+}
 
+/**
+ * Checks whether a request URL lies below a mount path (Express-style prefix match)
+ * Like Express the match ignores case and a trailing slash of the request path.
+ * @param {string} url - Request URL including query string
+ * @param {string} mountPath - Normalized mount path
+ * @returns {boolean} True if the mount path matches
+ */
+function matchesMountPath(url, mountPath) {
+    const pathname = url.split('?')[0].toLowerCase().replace(/\/+$/, '');
+    const prefix = mountPath.toLowerCase();
+    return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
 
 /**
  * Middleware initialization function for UI5 Tooling v4
@@ -63,7 +87,8 @@ const middleware = async (context) => {
     };
     
     // Create debug-aware logger based on configuration
-    const isDebugEnabled = options.debug === true;
+    const config = options.configuration || {};
+    const isDebugEnabled = config.debug === true;
     const logger = createDebugLogger(baseLogger, isDebugEnabled);
     
     logger.debug('UI5 Plugin Loader middleware initialization started');
@@ -92,7 +117,9 @@ const middleware = async (context) => {
         // Use the new pipeline to process configurations
         const result = coreFunctions.processPipeline({
             config: options,
-            manifestsDir
+            manifestsDir,
+            mode: 'serve',
+            projectGraph: middlewareUtil
         });
         
         logger.debug(`Pipeline processing result: ${JSON.stringify({
@@ -101,10 +128,16 @@ const middleware = async (context) => {
             duration: result.duration
         })}`);
         
-        // Load actual middleware functions using inline chaining
+        if (result.config.explain) {
+            const explain = require('./explain')(logger);
+            logger.info(`Plugin plan:\n${explain.formatExplainReport(explain.buildExplainReport(result))}`);
+        }
+        
+        // Load actual middleware functions for the pipeline result from above
         ({ loadedMiddlewares } = await coreFunctions.loadPlugins({
             context: { log: logger, middlewareUtil, resources, options },
-            manifestsDir
+            manifestsDir,
+            result
         }));
 
         logger.info(`Plugin loader completed: loaded ${loadedMiddlewares.length} middleware, ${result.tasks.length} tasks`);
@@ -117,16 +150,52 @@ const middleware = async (context) => {
     }
     
     // Return one Express-compatible function that delegates to the
-    // middlewares we just loaded.
+    // middlewares we just loaded. Middlewares with a mountPath only see
+    // requests below that path, with req.url relative to it like in Express.
+    const chain = loadedMiddlewares.map(mw => ({
+        ...mw,
+        mountPath: normalizeMountPath(mw.mountPath)
+    }));
+    chain.filter(mw => mw.mountPath).forEach(mw => {
+        logger.debug(`Middleware ${mw.name} mounted at ${mw.mountPath}`);
+    });
+    
     return async (req, res, next) => {
+        const originalUrl = req.url;
+        const originalBaseUrl = req.baseUrl;
         let idx = 0;
+        
+        const restore = () => {
+            req.url = originalUrl;
+            req.baseUrl = originalBaseUrl;
+        };
+        
         const run = (err) => {
+            restore();
             if (err) { return next(err); }
-            if (idx >= loadedMiddlewares.length) { return next(); }
+            
+            // Skip middlewares mounted elsewhere
+            while (idx < chain.length && chain[idx].mountPath && !matchesMountPath(req.url, chain[idx].mountPath)) {
+                idx++;
+            }
+            if (idx >= chain.length) { return next(); }
+            
+            const current = chain[idx++];
+            if (current.mountPath) {
+                // The base URL keeps the spelling of the request, as in Express
+                const mounted = req.url.slice(0, current.mountPath.length);
+                const stripped = req.url.slice(current.mountPath.length);
+                req.url = stripped.startsWith('/') ? stripped : `/${stripped}`;
+                req.baseUrl = `${originalBaseUrl || ''}${mounted}`;
+                if (req.originalUrl === undefined) {
+                    req.originalUrl = originalUrl;
+                }
+            }
+            
             try {
-                loadedMiddlewares[idx++].function(req, res, run);
+                current.function(req, res, run);
             } catch (e) {
-                logger.error(`error in middleware ${loadedMiddlewares[idx-1].name}:`, e);
+                logger.error(`error in middleware ${current.name}:`, e);
                 run(e);
             }
         };
@@ -136,4 +205,6 @@ const middleware = async (context) => {
 
 // Export both the middleware function and the dependencies function
 module.exports = middleware;
-module.exports.determineRequiredDependencies = determineRequiredDependencies; 
\ No newline at end of file
+module.exports.determineRequiredDependencies = determineRequiredDependencies;
+module.exports.normalizeMountPath = normalizeMountPath;
+module.exports.matchesMountPath = matchesMountPath; 
\ No newline at end of file
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { LOADER_MIDDLEWARE_NAME, LOADER_TASK_NAME } = require('./ui5config');
+
+// Override value that removes a key from the manifest defaults
+const UNSET_VALUE = '$unset';
+
+/**
+ * Migration of hand-written ui5.yaml setups to the UI5 Plugin Loader
+ * Replaces entries the loader would discover with a single loader entry and
+ * keeps their non-default settings as `override` blocks
+ */
+
+// How the two ui5.yaml sections map to the loader
+const SECTIONS = [
+    {
+        type: 'middleware',
+        sectionPath: ['server', 'customMiddleware'],
+        loaderName: LOADER_MIDDLEWARE_NAME,
+        afterKey: 'afterMiddleware',
+        beforeKey: 'beforeMiddleware',
+        defaultAnchor: { afterMiddleware: 'compression' }
+    },
+    {
+        type: 'task',
+        sectionPath: ['builder', 'customTasks'],
+        loaderName: LOADER_TASK_NAME,
+        afterKey: 'afterTask',
+        beforeKey: 'beforeTask',
+        defaultAnchor: { afterTask: 'replaceVersion' }
+    }
+];
+
+module.exports = function (log) {
+
+    const coreFunctions = require('./core')(log);
+
+    /**
+     * Gets the top-level configuration keys that differ from the manifest defaults
+     * 
+     * Default keys the ui5.yaml entry does not set are removed with `$unset`, otherwise
+     * the loader would add them to the configuration the extension ran with before.
+     * @param {Object} configuration - Configuration from ui5.yaml
+     * @param {Object} defaults - Configuration from the manifest
+     * @returns {Object} Differing keys with their ui5.yaml values or `$unset`
+     */
+    function diffConfiguration(configuration = {}, defaults = {}) {
+        const diff = {};
+        Object.keys(configuration).forEach(key => {
+            if (!isDeepStrictEqual(configuration[key], defaults[key])) {
+                diff[key] = configuration[key];
+            }
+        });
+        Object.keys(defaults).forEach(key => {
+            if (!(key in configuration)) {
+                diff[key] = UNSET_VALUE;
+            }
+        });
+        return diff;
+    }
+
+    /**
+     * Gets the anchor (after/before property) of an entry
+     * @param {Object} entry - ui5.yaml entry
+     * @param {Object} section - Section description
+     * @returns {Object|null} Object with a single after/before property or null
+     */
+    function getAnchor(entry, section) {
+        if (entry[section.afterKey]) {
+            return { [section.afterKey]: entry[section.afterKey] };
+        }
+        if (entry[section.beforeKey]) {
+            return { [section.beforeKey]: entry[section.beforeKey] };
+        }
+        return null;
+    }
+
+    /**
+     * Migrates one section of the project document
+     * @param {Object} projectDoc - Project document of the ui5.yaml
+     * @param {Object} section - Section description
+     * @param {Array} discovered - Extensions discovered by the pipeline
+     * @param {string} manifestsDir - Path to fallback manifests directory
+     * @param {Object} report - Report to add results to
+     */
+    function migrateSection(projectDoc, section, discovered, manifestsDir, report) {
+        const [sectionKey, listKey] = section.sectionPath;
+        const items = projectDoc[sectionKey] && projectDoc[sectionKey][listKey];
+        if (!Array.isArray(items)) {
+            return;
+        }
+
+        const defaults = new Map(discovered
+            .filter(ext => ext.type === section.type)
+            .map(ext => [ext.name, ext]));
+
+        const entries = items.map(item => (item && typeof item === 'object' ? item : null));
+        const migratable = entries
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => entry && defaults.has(entry.name));
+
+        entries.forEach(entry => {
+            if (entry && entry.name !== section.loaderName && !defaults.has(entry.name)) {
+                report.kept.push(entry.name);
+            }
+        });
+
+        if (migratable.length === 0) {
+            log.debug(`No ${section.type} entries in ${section.sectionPath.join('.')} can be auto-discovered`);
+            return;
+        }
+
+        const loaderIndex = entries.findIndex(entry => entry && entry.name === section.loaderName);
+        const existingLoader = loaderIndex === -1 ? null : entries[loaderIndex];
+        const loaderAnchor = (existingLoader && getAnchor(existingLoader, section))
+            || getAnchor(migratable[0].entry, section)
+            || section.defaultAnchor;
+
+        const loaderConfig = JSON.parse(JSON.stringify((existingLoader && existingLoader.configuration) || {}));
+        loaderConfig.override = loaderConfig.override || {};
+        const migratedNames = migratable.map(({ entry }) => entry.name);
+
+        migratable.forEach(({ entry }) => {
+            const override = {};
+            const configuration = diffConfiguration(entry.configuration, defaults.get(entry.name).configuration);
+            if (Object.keys(configuration).length > 0) {
+                override.configuration = configuration;
+            }
+            if (entry.mountPath) {
+                override.mountPath = entry.mountPath;
+            }
+
+            // Positions relative to another migrated entry are covered by preserveOrder,
+            // positions relative to anything else are taken over by the loader entry
+            const anchor = getAnchor(entry, section);
+            const anchorTarget = anchor && Object.values(anchor)[0];
+            if (anchor && !migratedNames.includes(anchorTarget) && !isDeepStrictEqual(anchor, loaderAnchor)) {
+                report.unmapped.push({
+                    name: entry.name,
+                    reason: `${Object.keys(anchor)[0]}: ${anchorTarget} cannot be kept - the loader runs ${Object.keys(loaderAnchor)[0]} ${Object.values(loaderAnchor)[0]}`
+                });
+            }
+
+            const knownKeys = ['name', 'configuration', 'mountPath', section.afterKey, section.beforeKey];
+            Object.keys(entry).filter(key => !knownKeys.includes(key)).forEach(key => {
+                report.unmapped.push({ name: entry.name, reason: `property '${key}' has no loader equivalent` });
+            });
+
+            if (Object.keys(override).length > 0) {
+                loaderConfig.override[entry.name] = { ...loaderConfig.override[entry.name], ...override };
+            }
+            report.migrated.push(entry.name);
+        });
+
+        // Extensions the loader would add on top of the hand-written setup stay off
+        const disable = new Set(loaderConfig.disable || []);
+        defaults.forEach((ext, name) => {
+            if (!migratedNames.includes(name) && !coreFunctions.findMatchingPattern(ext, [...disable])) {
+                disable.add(name);
+                report.disabled.push(name);
+            }
+        });
+        if (disable.size > 0) {
+            loaderConfig.disable = [...disable];
+        }
+
+        preserveOrder(loaderConfig, migratedNames, section, manifestsDir, report);
+
+        if (Object.keys(loaderConfig.override).length === 0) {
+            delete loaderConfig.override;
+        }
+
+        const loaderEntry = { name: section.loaderName, ...loaderAnchor };
+        if (Object.keys(loaderConfig).length > 0) {
+            loaderEntry.configuration = loaderConfig;
+        }
+
+        const insertAt = loaderIndex === -1 ? migratable[0].index : loaderIndex;
+        const removed = new Set(migratable.map(({ index }) => index));
+        if (loaderIndex !== -1) {
+            removed.add(loaderIndex);
+        }
+
+        // Entries that stay must not refer to removed entries, they are positioned relative to the loader instead
+        entries.forEach((entry, index) => {
+            if (!entry || removed.has(index)) {
+                return;
+            }
+            [section.afterKey, section.beforeKey].forEach(key => {
+                if (migratedNames.includes(entry[key])) {
+                    report.notes.push(`Changed ${key} of ${entry.name} from ${entry[key]} to ${section.loaderName}`);
+                    entry[key] = section.loaderName;
+                }
+            });
+        });
+
+        const migratedItems = [];
+        items.forEach((item, index) => {
+            if (index === insertAt) {
+                migratedItems.push(loaderEntry);
+            }
+            if (!removed.has(index)) {
+                migratedItems.push(item);
+            }
+        });
+        projectDoc[sectionKey][listKey] = migratedItems;
+    }
+
+    /**
+     * Adds ordering overrides when the loader would run the migrated entries in a different order
+     * @param {Object} loaderConfig - Loader configuration being built
+     * @param {string[]} migratedNames - Migrated entries in ui5.yaml order
+     * @param {Object} section - Section description
+     * @param {string} manifestsDir - Path to fallback manifests directory
+     * @param {Object} report - Report to add results to
+     */
+    function preserveOrder(loaderConfig, migratedNames, section, manifestsDir, report) {
+        const resolveOrder = () => {
+            // The entries being migrated are still in ui5.yaml, so skip the conflict check;
+            // the order is compared for the base configuration without profiles
+            const result = coreFunctions.processPipeline({ config: loaderConfig, manifestsDir, configPath: null, profile: [] });
+            const resolved = section.type === 'middleware' ? result.middleware : result.tasks;
+            return resolved.map(ext => ext.name).filter(name => migratedNames.includes(name));
+        };
+
+        const loaderOrder = resolveOrder();
+        if (isDeepStrictEqual(loaderOrder, migratedNames)) {
+            return;
+        }
+
+        // Chain every entry behind its predecessor from ui5.yaml
+        const previousOverrides = {};
+        migratedNames.slice(1).forEach((name, i) => {
+            previousOverrides[name] = loaderConfig.override[name];
+            const override = { ...loaderConfig.override[name] };
+            delete override[section.beforeKey];
+            override[section.afterKey] = migratedNames[i];
+            loaderConfig.override[name] = override;
+        });
+
+        let reason = null;
+        try {
+            const chainedOrder = resolveOrder();
+            if (!isDeepStrictEqual(chainedOrder, migratedNames)) {
+                reason = `loader order is ${chainedOrder.join(' → ')}`;
+            }
+        } catch (error) {
+            reason = error.message;
+        }
+
+        if (!reason) {
+            report.notes.push(`Added ${section.afterKey} overrides to keep the original ${section.type} order`);
+            return;
+        }
+
+        // Drop the chain again, the loader falls back to its own order
+        Object.keys(previousOverrides).forEach(name => {
+            if (previousOverrides[name]) {
+                loaderConfig.override[name] = previousOverrides[name];
+            } else {
+                delete loaderConfig.override[name];
+            }
+        });
+        report.unmapped.push({
+            name: section.loaderName,
+            reason: `original order ${migratedNames.join(' → ')} cannot be kept (${reason}) - loader order is ${loaderOrder.join(' → ')}`
+        });
+    }
+
+    /**
+     * Migrates the content of a ui5.yaml to the loader
+     * @param {string} source - Content of the ui5.yaml
+     * @param {Object} [options] - Migration options
+     * @param {string} [options.manifestsDir] - Path to fallback manifests directory
+     * @returns {Object} Object with the migrated content and a report (migrated, kept, disabled, unmapped, notes)
+     * @throws {Error} If the source cannot be parsed or has no project document
+     */
+    function migrateConfig(source, { manifestsDir = path.resolve(__dirname, '..', 'manifests') } = {}) {
+        const ui5Config = require('./ui5config')(log);
+        const report = { migrated: [], kept: [], disabled: [], unmapped: [], notes: [] };
+        const discovered = coreFunctions.fillDefaults(coreFunctions.discoverManifests(manifestsDir));
+
+        const content = ui5Config.updateCustomEntries(source, projectDoc => {
+            SECTIONS.forEach(section => migrateSection(projectDoc, section, discovered, manifestsDir, report));
+        });
+
+        return { content, report };
+    }
+
+    /**
+     * Migrates a project's ui5.yaml to the loader
+     * @param {Object} options - Migration options
+     * @param {string} [options.configPath] - Source ui5.yaml (defaults to ui5.yaml in process.cwd())
+     * @param {string} [options.outputPath] - Target file; the source is updated when it is the same file
+     * @param {string} [options.manifestsDir] - Path to fallback manifests directory
+     * @returns {Object} Object with the migrated content and a report
+     */
+    function migrateProject({ configPath = 'ui5.yaml', outputPath, manifestsDir } = {}) {
+        const resolvedPath = path.resolve(configPath);
+        if (!fs.existsSync(resolvedPath)) {
+            throw new Error(`${resolvedPath} not found`);
+        }
+
+        const migration = migrateConfig(fs.readFileSync(resolvedPath, 'utf8'), { manifestsDir });
+
+        if (outputPath) {
+            fs.writeFileSync(path.resolve(outputPath), migration.content);
+            log.info(`Migrated ${migration.report.migrated.length} entries into ${path.resolve(outputPath)}`);
+        }
+
+        return migration;
+    }
+
+    return {
+        migrateConfig,
+        migrateProject
+    };
+};
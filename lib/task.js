@@ -2,18 +2,11 @@ const path = require('path');
 
 /**
  * UI5 Plugin Loader Task for UI5 Tooling v4
- * Auto-registers UI5 tooling tasks based on manifest JSON files
+ * Runs UI5 tooling tasks discovered from manifest JSON files
  */
 
-/**
- * Declares required dependencies for UI5 tooling
- * This function is called by UI5 tooling to determine what dependencies are needed
- * @returns {Promise<Set>} Empty set to avoid blocking builds
- */
-const determineRequiredDependencies = async () => {
-    // Return empty set to avoid blocking builds as per best practices
-    return new Set();
-};
+// Loaded tasks per project and loader configuration, shared by determineRequiredDependencies and the task
+const loadedTasksCache = new Map();
 
 /**
  * Creates a debug-aware logger that respects the debug configuration
@@ -40,41 +33,126 @@ function createDebugLogger(baseLogger, isDebugEnabled = false) {
 }
 
 /**
- * Task initialization function for UI5 Tooling v4
- * Called by UI5 tooling when the task is loaded
- * @param {Object} context - UI5 tooling context
- * @param {Object} context.taskUtil - Utility for registering tasks
- * @param {Object} context.options - Configuration options
- * @param {Object} context.log - Logger instance
- * @returns {Promise<Function>} Task function
+ * Creates the fallback logger used when UI5 tooling does not provide one
+ * @returns {Object} Console based logger
  */
-const task = async (context) => {
-    const { taskUtil, options = {}, log } = context;
-    
-    // Fallback logger in case log is not provided
-    const baseLogger = log || {
+function createFallbackLogger() {
+    return {
         info: console.log,
         warn: console.warn,
         error: console.error,
         verbose: () => {} // silent in fallback
     };
+}
+
+/**
+ * Gets the cache key of the loaded tasks of a project
+ * @param {Object} options - Task options including the loader configuration
+ * @param {string} manifestsDir - Path to fallback manifests directory
+ * @returns {string} Cache key
+ */
+function getLoadedTasksKey(options, manifestsDir) {
+    return JSON.stringify([process.cwd(), options.projectName, manifestsDir, options.configuration || {}]);
+}
+
+/**
+ * Loads the tasks of a project once
+ * UI5 tooling calls determineRequiredDependencies before the task, both work on the same
+ * pipeline result and loaded modules. Failed attempts are not cached.
+ * @param {Object} coreFunctions - Core functions
+ * @param {Object} logger - Logger instance
+ * @param {Object} options - Task options including the loader configuration
+ * @param {string} manifestsDir - Path to fallback manifests directory
+ * @param {Object} [projectGraph] - Access to the UI5 project graph (taskUtil or the
+ *   getProject/getDependencies parameters of determineRequiredDependencies)
+ * @returns {Promise<Object>} Object with loadedTasks and the pipeline result
+ */
+function loadTasksOnce(coreFunctions, logger, options, manifestsDir, projectGraph) {
+    const cacheKey = getLoadedTasksKey(options, manifestsDir);
+    if (!loadedTasksCache.has(cacheKey)) {
+        const loading = coreFunctions.loadTasks({
+            context: { log: logger, options, projectGraph },
+            manifestsDir
+        });
+        loading.catch(() => loadedTasksCache.delete(cacheKey));
+        loadedTasksCache.set(cacheKey, loading);
+    }
+    return loadedTasksCache.get(cacheKey);
+}
+
+/**
+ * Declares required dependencies for UI5 tooling
+ * Collects the requirements of all discovered tasks. Tasks that do not declare
+ * their requirements get all available dependencies, like in ui5.yaml.
+ * @param {Object} parameters - UI5 tooling parameters
+ * @param {Set<string>} parameters.availableDependencies - Direct dependencies of the project
+ * @param {Function} [parameters.getProject] - Returns the project with the given name
+ * @param {Function} [parameters.getDependencies] - Returns the dependency names of a project
+ * @param {Object} parameters.options - Task options including the loader configuration
+ * @returns {Promise<Set>} Names of the dependencies required by the discovered tasks
+ */
+const determineRequiredDependencies = async (parameters) => {
+    const { availableDependencies, getProject, getDependencies, options = {} } = parameters;
+    const config = options.configuration || {};
+    // UI5 tooling provides no logger here, keep the console quiet unless debugging
+    const logger = createDebugLogger({ ...createFallbackLogger(), info: () => {} }, config.debug === true);
+    
+    const coreFunctions = require('./core')(logger);
+    const manifestsDir = options.manifestsDir || path.resolve(__dirname, '..', 'manifests');
+    const { loadedTasks } = await loadTasksOnce(coreFunctions, logger, options, manifestsDir, { getProject, getDependencies });
+    
+    const requiredDependencies = new Set();
+    for (const loadedTask of loadedTasks) {
+        if (!loadedTask.determineRequiredDependencies) {
+            logger.debug(`Task ${loadedTask.name} does not declare its required dependencies - providing all`);
+            return availableDependencies;
+        }
+        
+        const taskDependencies = await loadedTask.determineRequiredDependencies({
+            ...parameters,
+            availableDependencies: new Set(availableDependencies),
+            options: {
+                ...options,
+                configuration: loadedTask.configuration,
+                taskName: loadedTask.name
+            }
+        });
+        taskDependencies.forEach(dep => requiredDependencies.add(dep));
+    }
+    
+    return requiredDependencies;
+};
+
+/**
+ * Custom task for UI5 Tooling v4
+ * Called by UI5 tooling during the build. Runs the plugin pipeline and executes
+ * every discovered task in order with the parameters of this task.
+ * @param {Object} parameters - UI5 tooling parameters
+ * @param {Object} parameters.workspace - DuplexCollection to read and write files
+ * @param {Object} parameters.dependencies - Reader to access dependency files
+ * @param {Object} parameters.taskUtil - Specification version dependent TaskUtil interface
+ * @param {Object} parameters.options - Task options
+ * @param {string} parameters.options.projectName - Project name
+ * @param {string} [parameters.options.projectNamespace] - Project namespace
+ * @param {Object} [parameters.options.configuration] - Loader configuration from ui5.yaml
+ * @param {Object} parameters.log - Logger instance
+ * @returns {Promise<undefined>} Resolves once all discovered tasks have finished
+ */
+const task = async (parameters) => {
+    const { workspace, dependencies, taskUtil, options = {}, log } = parameters;
+    const config = options.configuration || {};
+    
+    // Fallback logger in case log is not provided
+    const baseLogger = log || createFallbackLogger();
     
     // Create debug-aware logger based on configuration
-    const isDebugEnabled = options.debug === true;
+    const isDebugEnabled = config.debug === true;
     const logger = createDebugLogger(baseLogger, isDebugEnabled);
     
-    logger.debug('UI5 Plugin Loader task initialization started');
+    logger.debug('UI5 Plugin Loader task execution started');
     logger.debug(`Configuration options: ${JSON.stringify(options, null, 2)}`);
     logger.debug(`Available taskUtil methods: ${Object.keys(taskUtil || {})}`);
     
-    // Require UI5 Tooling v4 task registration support
-    if (!taskUtil || typeof taskUtil.registerTask !== 'function') {
-        const error = 'UI5 Plugin Loader requires UI5 Tooling v4 with taskUtil.registerTask support';
-        logger.error(error);
-        logger.debug('taskUtil object:', taskUtil);
-        throw new Error(error);
-    }
-    
     // Get the core functions with logger
     const coreFunctions = require('./core')(logger);
     
@@ -82,89 +160,55 @@ const task = async (context) => {
     const manifestsDir = options.manifestsDir || path.resolve(__dirname, '..', 'manifests');
     logger.debug(`Using manifests directory: ${manifestsDir}`);
     
+    let loadedTasks = [];
+    
     try {
         logger.debug('Starting plugin pipeline for tasks...');
+        let result;
+        ({ loadedTasks, result } = await loadTasksOnce(coreFunctions, logger, options, manifestsDir, taskUtil));
         
-        // Use the new pipeline to process configurations
-        const result = coreFunctions.processPipeline({
-            config: options,
-            manifestsDir
-        });
-        
-        logger.debug(`Pipeline processing result: ${JSON.stringify({
-            middlewareCount: result.middleware.length,
-            taskCount: result.tasks.length,
-            duration: result.duration
-        })}`);
+        // The next build in this process starts from a fresh pipeline run
+        loadedTasksCache.delete(getLoadedTasksKey(options, manifestsDir));
         
-        // Register tasks dynamically if UI5 CLI supports it
-        if (result.tasks.length > 0 && typeof taskUtil.registerTask === "function") {
-            logger.info(`Registering ${result.tasks.length} tasks...`);
-            for (const taskConfig of result.tasks) {
-                try {
-                    const { name, afterTask, beforeTask, configuration = {} } = taskConfig;
-                    
-                    if (!name) {
-                        logger.warn('Task configuration missing name, skipping');
-                        continue;
-                    }
-                    
-                    const registrationOptions = {
-                        name,
-                        configuration
-                    };
-                    
-                    // Add order specification
-                    if (afterTask) {
-                        registrationOptions.afterTask = afterTask;
-                    } else if (beforeTask) {
-                        registrationOptions.beforeTask = beforeTask;
-                    } else {
-                        registrationOptions.afterTask = 'replaceVersion'; // Default fallback
-                    }
-                    
-                    await taskUtil.registerTask(registrationOptions);
-                    
-                    logger.info(`✓ Registered task: ${name}`);
-                    logger.debug(`Task registration successful: ${name}`);
-                } catch (error) {
-                    logger.error(`Failed to register task '${taskConfig.name}': ${error.message}`);
-                    logger.debug(`Task registration error details for ${taskConfig.name}:`, error.stack);
-                }
-            }
-        } else if (result.tasks.length > 0) {
-            logger.warn(`Found ${result.tasks.length} task configurations, but your UI5 CLI is too old for dynamic registration.`);
-            logger.warn('Please upgrade to @ui5/cli ^4.1.0 or configure tasks statically in ui5.yaml:');
-            result.tasks.forEach(config => {
-                logger.warn(`  - name: ${config.name}`);
-                if (config.afterTask) logger.warn(`    afterTask: ${config.afterTask}`);
-                if (config.beforeTask) logger.warn(`    beforeTask: ${config.beforeTask}`);
-            });
-        } else {
-            logger.debug('No task configurations found for registration');
+        if (result.config.explain) {
+            const explain = require('./explain')(logger);
+            logger.info(`Plugin plan:\n${explain.formatExplainReport(explain.buildExplainReport(result))}`);
         }
-        
-        logger.info(`UI5 Plugin Loader Task completed: registered ${result.middleware.length} middlewares, ${result.tasks.length} tasks`);
-        logger.debug('UI5 Plugin Loader task initialization completed successfully');
-        
     } catch (error) {
         logger.error('UI5 Plugin Loader task initialization failed:', error.message);
         logger.debug('Task initialization error details:', error.stack);
         throw error; // Re-throw to ensure proper error handling
     }
     
-    // Return a minimal task function since registration happens during initialization
-    return async (taskContext) => {
-        logger.debug('Task execution started');
-        logger.debug(`Task context: workspace: ${taskContext.workspace}, dependencies: ${taskContext.dependencies}, options: ${JSON.stringify(taskContext.options)}`);
+    for (const loadedTask of loadedTasks) {
+        logger.info(`Running task: ${loadedTask.name}`);
+        const startTime = Date.now();
         
-        // The actual tasks are registered dynamically during initialization
-        // This function just provides a placeholder
-        logger.debug('Task execution completed (tasks registered dynamically)');
-        return Promise.resolve();
-    };
+        try {
+            await loadedTask.function({
+                workspace,
+                dependencies,
+                taskUtil,
+                log: baseLogger,
+                options: {
+                    projectName: options.projectName,
+                    projectNamespace: options.projectNamespace,
+                    configuration: loadedTask.configuration,
+                    taskName: loadedTask.name
+                }
+            });
+        } catch (error) {
+            logger.error(`Task '${loadedTask.name}' failed: ${error.message}`);
+            logger.debug(`Task error details for ${loadedTask.name}:`, error.stack);
+            throw error;
+        }
+        
+        logger.debug(`Task ${loadedTask.name} finished (${Date.now() - startTime}ms)`);
+    }
+    
+    logger.info(`UI5 Plugin Loader Task completed: executed ${loadedTasks.length} tasks`);
 };
 
 // Export both the task function and the dependencies function
 module.exports = task;
-module.exports.determineRequiredDependencies = determineRequiredDependencies; 
\ No newline at end of file
+module.exports.determineRequiredDependencies = determineRequiredDependencies; 
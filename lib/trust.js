@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Approvals for the trust policy of the UI5 Plugin Loader
+ * Records the manifest hash, version and integrity of every approved package
+ * in a trust file next to the project's ui5.yaml
+ */
+
+const TRUST_FILE_NAME = 'ui5-plugin-loader.trust.json';
+
+module.exports = function (log) {
+
+    const workspace = require('./workspace')(log);
+
+    // Parsed package-lock.json files per directory
+    const lockFileCache = new Map();
+
+    /**
+     * Gets the path of the trust file
+     * @param {Object} trustConfig - `trust` block of the loader configuration
+     * @param {string} projectDir - Directory of the project's ui5.yaml
+     * @returns {string} Absolute path of the trust file
+     */
+    function getTrustFilePath(trustConfig, projectDir) {
+        return path.resolve(projectDir, (trustConfig && trustConfig.file) || TRUST_FILE_NAME);
+    }
+
+    /**
+     * Reads the approvals of a trust file
+     * @param {string} filePath - Path of the trust file
+     * @returns {Object} Approvals by package name (empty if the file does not exist)
+     * @throws {Error} If the file cannot be parsed
+     */
+    function readTrustFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            log.verbose(`No trust file at ${filePath} - no package is approved yet`);
+            return {};
+        }
+
+        try {
+            const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return (content && content.packages) || {};
+        } catch (error) {
+            throw new Error(`Cannot read trust file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Records approvals in a trust file, keeping the approvals of other packages
+     * @param {string} filePath - Path of the trust file
+     * @param {Object} approvals - Package states by package name (see getPackageState)
+     */
+    function writeTrustFile(filePath, approvals) {
+        const packages = { ...readTrustFile(filePath), ...approvals };
+        const sorted = {};
+        Object.keys(packages).sort().forEach(name => {
+            sorted[name] = packages[name];
+        });
+
+        fs.writeFileSync(filePath, `${JSON.stringify({ packages: sorted }, null, 2)}\n`);
+        log.info(`Approved ${Object.keys(approvals).join(', ')} in ${filePath}`);
+    }
+
+    /**
+     * Calculates the hash of a manifest file
+     * @param {string} manifestPath - Path of the manifest
+     * @returns {string} SHA-256 hash in subresource integrity format (sha256-<base64>)
+     */
+    function hashManifest(manifestPath) {
+        const hash = crypto.createHash('sha256').update(fs.readFileSync(manifestPath)).digest('base64');
+        return `sha256-${hash}`;
+    }
+
+    /**
+     * Reads the closest package-lock.json from a directory up to the workspace root
+     * @param {string} projectDir - Directory to start from
+     * @returns {Object|null} Object with the lock file directory and content or null if there is none
+     */
+    function findLockFile(projectDir) {
+        if (lockFileCache.has(projectDir)) {
+            return lockFileCache.get(projectDir);
+        }
+
+        const root = workspace.findWorkspaceRoot(projectDir);
+        const stopDir = root ? root.root : path.parse(projectDir).root;
+        let dir = path.resolve(projectDir);
+        let lockFile = null;
+
+        while (!lockFile) {
+            const content = workspace.readPackageJson(path.join(dir, 'package-lock.json'));
+            if (content) {
+                lockFile = { dir, content };
+                break;
+            }
+            const parent = path.dirname(dir);
+            if (dir === stopDir || parent === dir) {
+                break;
+            }
+            dir = parent;
+        }
+
+        lockFileCache.set(projectDir, lockFile);
+        return lockFile;
+    }
+
+    /**
+     * Gets the integrity of an installed package from package-lock.json
+     * @param {string} packageName - Name of the package
+     * @param {string} projectDir - Project directory
+     * @param {string} [knownPackageDir] - Package directory (resolved from the project directory if not given)
+     * @returns {string|null} Integrity hash or null if the lock file does not record one
+     */
+    function getPackageIntegrity(packageName, projectDir, knownPackageDir) {
+        const lockFile = findLockFile(projectDir);
+        const packageDir = knownPackageDir || workspace.resolvePackageDir(packageName, projectDir);
+        if (!lockFile || !packageDir) {
+            return null;
+        }
+
+        // lockfileVersion 2/3 key packages by path, version 1 by name
+        const key = path.relative(lockFile.dir, packageDir).split(path.sep).join('/');
+        const entry = (lockFile.content.packages && lockFile.content.packages[key])
+            || (lockFile.content.dependencies && lockFile.content.dependencies[packageName]);
+        return (entry && entry.integrity) || null;
+    }
+
+    /**
+     * Gets the current state of a package as recorded in the trust file
+     * @param {string} packageName - Name of the package
+     * @param {Object} manifestInfo - Manifest path, source ('package' or 'fallback') and,
+     *   for packages found below other packages, the package directory
+     * @param {string} projectDir - Project directory
+     * @returns {Object} Object with version, integrity (if known), source and manifest hash
+     */
+    function getPackageState(packageName, { manifestPath, source, packageDir: knownPackageDir }, projectDir) {
+        const packageDir = knownPackageDir || workspace.resolvePackageDir(packageName, projectDir);
+        const packageJson = packageDir && workspace.readPackageJson(path.join(packageDir, 'package.json'));
+        const state = { version: (packageJson && packageJson.version) || null };
+
+        const integrity = getPackageIntegrity(packageName, projectDir, packageDir);
+        if (integrity) {
+            state.integrity = integrity;
+        }
+        state.source = source;
+        state.manifest = hashManifest(manifestPath);
+        return state;
+    }
+
+    return {
+        getTrustFilePath,
+        readTrustFile,
+        writeTrustFile,
+        hashManifest,
+        getPackageIntegrity,
+        getPackageState
+    };
+};
+
+module.exports.TRUST_FILE_NAME = TRUST_FILE_NAME;
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Access to the project's own ui5.yaml
+ * Reads all YAML documents and extracts the loader entries and their configuration
+ */
+
+// Names under which the loader is registered in a project's ui5.yaml
+const LOADER_MIDDLEWARE_NAME = 'ui5-plugin-loader';
+const LOADER_TASK_NAME = 'ui5-plugin-loader-task';
+
+// Entry lists of the project document that updateCustomEntries writes back
+const ENTRY_LISTS = [['server', 'customMiddleware'], ['builder', 'customTasks']];
+
+module.exports = function (log) {
+
+    /**
+     * Reads all documents of a project's ui5.yaml
+     * @param {string} [configPath] - Path to the ui5.yaml (defaults to ui5.yaml in process.cwd())
+     * @returns {Object|null} Object with resolved path and documents or null if the file does not exist
+     * @throws {Error} If the file cannot be parsed
+     */
+    function readProjectConfig(configPath = 'ui5.yaml') {
+        const resolvedPath = path.resolve(process.cwd(), configPath);
+        if (!fs.existsSync(resolvedPath)) {
+            log.debug(`No project configuration found at ${resolvedPath}`);
+            return null;
+        }
+
+        const documents = yaml.loadAll(fs.readFileSync(resolvedPath, 'utf8'), null, { filename: resolvedPath })
+            .filter(doc => doc && typeof doc === 'object');
+        log.debug(`Read ${documents.length} documents from ${resolvedPath}`);
+
+        return { path: resolvedPath, documents };
+    }
+
+    /**
+     * Gets the document describing the project itself (the one that is no extension)
+     * @param {Object[]} documents - Documents of the ui5.yaml
+     * @returns {Object|null} Project document or null if not found
+     */
+    function getProjectDocument(documents) {
+        return documents.find(doc => doc.kind === undefined || doc.kind === 'project') || null;
+    }
+
+    /**
+     * Gets the indentation of a line
+     * @param {string} line - Line of a YAML file
+     * @returns {number} Number of leading spaces
+     */
+    function getIndent(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    /**
+     * Checks whether a line holds content (is neither blank nor a comment)
+     * @param {string} line - Line of a YAML file
+     * @returns {boolean} True for content lines
+     */
+    function isContentLine(line) {
+        return /^\s*[^\s#]/.test(line);
+    }
+
+    /**
+     * Finds a block mapping key and the lines of its value
+     * A value ends before the next content line that is less indented, or equally
+     * indented and no sequence item. Comments after the last content line are not part of it.
+     * @param {string[]} lines - Lines of the document
+     * @param {number} start - First line to search
+     * @param {number} end - Line after the last line to search
+     * @param {number} indent - Indentation of the key
+     * @param {string} key - Key name
+     * @returns {Object|null} Object with the line of the key, the line after the value and
+     *   whether the value is written inline, or null if the key is not found
+     */
+    function findKey(lines, start, end, indent, key) {
+        const keyPattern = new RegExp(`^ {${indent}}(${key}|"${key}"|'${key}')\\s*:(\\s|$)`);
+        const keyLine = lines.slice(start, end).findIndex(line => keyPattern.test(line));
+        if (keyLine === -1) {
+            return null;
+        }
+
+        const line = start + keyLine;
+        let valueEnd = line + 1;
+        for (let i = line + 1; i < end; i++) {
+            if (!isContentLine(lines[i])) {
+                continue;
+            }
+            const lineIndent = getIndent(lines[i]);
+            if (lineIndent < indent || (lineIndent === indent && !/^\s*-(\s|$)/.test(lines[i]))) {
+                break;
+            }
+            valueEnd = i + 1;
+        }
+
+        const inline = isContentLine(lines[line].replace(keyPattern, ''));
+        return { line, valueEnd, inline };
+    }
+
+    /**
+     * Splits the lines of a block sequence into its items
+     * Comments and blank lines before an item belong to it.
+     * @param {string[]} lines - Lines of the sequence value
+     * @returns {Object} Object with the item indentation and the items (comment and content lines)
+     */
+    function splitSequence(lines) {
+        const first = lines.find(isContentLine);
+        const indent = first ? getIndent(first) : null;
+        const items = [];
+        let comments = [];
+
+        lines.forEach(line => {
+            if (!isContentLine(line)) {
+                comments.push(line);
+            } else if (getIndent(line) === indent && /^\s*-(\s|$)/.test(line)) {
+                items.push({ comments, content: [line] });
+                comments = [];
+            } else if (items.length > 0) {
+                items[items.length - 1].content.push(...comments, line);
+                comments = [];
+            }
+        });
+
+        return { indent, items };
+    }
+
+    /**
+     * Writes the entries of one list into the lines of the project document
+     * Entries that are unchanged keep their lines including comments; the comments of
+     * removed entries are moved to the first new entry written at their position.
+     * @param {string[]} lines - Lines of the project document (changed in place)
+     * @param {string[]} listPath - Section and list key, e.g. ['server', 'customMiddleware']
+     * @param {Object[]} original - Entries before the update (copies)
+     * @param {Object[]} originalRefs - Entries before the update (as passed to the update function)
+     * @param {Object[]} entries - Entries after the update
+     * @param {Object} projectDoc - Updated project document
+     */
+    function spliceList(lines, listPath, original, originalRefs, entries, projectDoc) {
+        const [sectionKey, listKey] = listPath;
+        const dumpOptions = { lineWidth: -1, noRefs: true };
+        const contentEnd = lines.length - [...lines].reverse().findIndex(isContentLine);
+        const section = findKey(lines, 0, lines.length, 0, sectionKey);
+
+        if (section && section.inline) {
+            // Flow mappings cannot be edited line by line, the section is written anew
+            const dumped = yaml.dump({ [sectionKey]: projectDoc[sectionKey] }, dumpOptions).replace(/\n$/, '').split('\n');
+            lines.splice(section.line, section.valueEnd - section.line, ...dumped);
+            return;
+        }
+
+        const sectionContent = section ? lines.slice(section.line + 1, section.valueEnd).find(isContentLine) : null;
+        const listIndent = sectionContent ? getIndent(sectionContent) : 2;
+        const list = section && findKey(lines, section.line + 1, section.valueEnd, listIndent, listKey);
+        const sequence = list && !list.inline
+            ? splitSequence(lines.slice(list.line + 1, list.valueEnd))
+            : { indent: null, items: [] };
+        const itemIndent = sequence.indent === null ? listIndent + 2 : sequence.indent;
+        const canReuse = sequence.items.length === original.length;
+
+        const dumpEntry = entry => yaml.dump([entry], dumpOptions).replace(/\n$/, '').split('\n')
+            .map(line => `${' '.repeat(itemIndent)}${line}`);
+        const reusedIndex = entries.map(entry => (canReuse ? originalRefs.indexOf(entry) : -1));
+        const movedComments = new Set();
+
+        const entryLines = entries.flatMap((entry, i) => {
+            const index = reusedIndex[i];
+            if (index !== -1 && isDeepStrictEqual(entry, original[index])) {
+                return [...sequence.items[index].comments, ...sequence.items[index].content];
+            }
+            if (index !== -1) {
+                return [...sequence.items[index].comments, ...dumpEntry(entry)];
+            }
+
+            // New entries take over the comments of removed entries between the surrounding kept entries
+            const previous = Math.max(-1, ...reusedIndex.slice(0, i));
+            const next = reusedIndex.slice(i + 1).find(nextIndex => nextIndex !== -1);
+            const removed = sequence.items.findIndex((item, itemIndex) => itemIndex > previous
+                && (next === undefined || itemIndex < next)
+                && !reusedIndex.includes(itemIndex) && !movedComments.has(itemIndex));
+            if (removed === -1) {
+                return dumpEntry(entry);
+            }
+            movedComments.add(removed);
+            return [...sequence.items[removed].comments.filter(line => line.trim()), ...dumpEntry(entry)];
+        });
+
+        const keyLine = entries.length === 0
+            ? `${' '.repeat(listIndent)}${listKey}: []`
+            : `${' '.repeat(listIndent)}${listKey}:`;
+
+        if (list) {
+            const keepKeyLine = !list.inline && entries.length > 0;
+            lines.splice(list.line, list.valueEnd - list.line, ...(keepKeyLine ? [lines[list.line]] : [keyLine]), ...entryLines);
+        } else if (section) {
+            lines.splice(section.valueEnd, 0, keyLine, ...entryLines);
+        } else {
+            lines.splice(contentEnd, 0, `${sectionKey}:`, keyLine, ...entryLines);
+        }
+    }
+
+    /**
+     * Updates the customMiddleware and customTasks entries of a ui5.yaml source
+     * Only these two lists of the project document are written back, and only if the
+     * update changed them. Everything else keeps its formatting and comments, as do
+     * unchanged entries of the lists.
+     * @param {string} source - Content of the ui5.yaml
+     * @param {Function} update - Called with the parsed project document, changes
+     *   server.customMiddleware and builder.customTasks in place
+     * @returns {string} Updated ui5.yaml content
+     * @throws {Error} If the source cannot be parsed or has no project document
+     */
+    function updateCustomEntries(source, update) {
+        const eol = source.includes('\r\n') ? '\r\n' : '\n';
+
+        // Every chunk is a document with its --- separator line
+        const chunks = [];
+        source.split(/\r?\n/).forEach((line, index) => {
+            if (index === 0 || /^---(\s|$)/.test(line)) {
+                chunks.push({ lines: [] });
+            }
+            chunks[chunks.length - 1].lines.push(line);
+        });
+
+        chunks.forEach(chunk => {
+            try {
+                chunk.doc = yaml.load(chunk.lines.join('\n'));
+            } catch (error) {
+                throw new Error(`Cannot parse ui5.yaml: ${error.message}`);
+            }
+        });
+
+        const projectChunk = chunks.find(chunk => chunk.doc && typeof chunk.doc === 'object'
+            && (chunk.doc.kind === undefined || chunk.doc.kind === 'project'));
+        if (!projectChunk) {
+            throw new Error('ui5.yaml does not contain a project document');
+        }
+
+        const projectDoc = projectChunk.doc;
+        const getList = ([sectionKey, listKey]) => {
+            const list = projectDoc[sectionKey] && projectDoc[sectionKey][listKey];
+            return Array.isArray(list) ? list : [];
+        };
+        const originals = ENTRY_LISTS.map(listPath => ({
+            refs: [...getList(listPath)],
+            copies: JSON.parse(JSON.stringify(getList(listPath)))
+        }));
+
+        update(projectDoc);
+
+        ENTRY_LISTS.forEach((listPath, i) => {
+            const entries = getList(listPath);
+            if (!isDeepStrictEqual(entries, originals[i].copies)) {
+                spliceList(projectChunk.lines, listPath, originals[i].copies, originals[i].refs, entries, projectDoc);
+            }
+        });
+
+        return chunks.map(chunk => chunk.lines.join(eol)).join(eol);
+    }
+
+    /**
+     * Gets the custom middleware entries of the project
+     * @param {Object[]} documents - Documents of the ui5.yaml
+     * @returns {Object[]} Entries of server.customMiddleware
+     */
+    function getCustomMiddleware(documents) {
+        const project = getProjectDocument(documents);
+        const entries = project && project.server && project.server.customMiddleware;
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * Gets the custom task entries of the project
+     * @param {Object[]} documents - Documents of the ui5.yaml
+     * @returns {Object[]} Entries of builder.customTasks
+     */
+    function getCustomTasks(documents) {
+        const project = getProjectDocument(documents);
+        const entries = project && project.builder && project.builder.customTasks;
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * Gets the loader configuration from the server or builder section
+     * @param {Object[]} documents - Documents of the ui5.yaml
+     * @param {string} [section] - 'server' for the middleware entry, 'builder' for the task entry
+     * @returns {Object|null} Loader configuration ({} if configured without options) or null if not registered
+     */
+    function getLoaderConfiguration(documents, section = 'server') {
+        const entry = section === 'builder'
+            ? getCustomTasks(documents).find(task => task.name === LOADER_TASK_NAME)
+            : getCustomMiddleware(documents).find(mw => mw.name === LOADER_MIDDLEWARE_NAME);
+
+        if (!entry) {
+            return null;
+        }
+        return entry.configuration || {};
+    }
+
+    /**
+     * Gets the value of a command-line option (`--name value` or `--name=value`)
+     * @param {string} name - Option name without leading dashes
+     * @param {string[]} [argv] - Process arguments (defaults to process.argv)
+     * @returns {string|null} Option value or null if not given
+     */
+    function getArgvOption(name, argv = process.argv) {
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i] === `--${name}` && argv[i + 1]) {
+                return argv[i + 1];
+            }
+            if (argv[i].startsWith(`--${name}=`)) {
+                return argv[i].slice(`--${name}=`.length);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether a command-line flag (`--name`) is given
+     * @param {string} name - Flag name without leading dashes
+     * @param {string[]} [argv] - Process arguments (defaults to process.argv)
+     * @returns {boolean} True if the flag is given
+     */
+    function hasArgvFlag(name, argv = process.argv) {
+        return argv.includes(`--${name}`);
+    }
+
+    /**
+     * Gets the ui5.yaml UI5 tooling was started with (`--config` option of the UI5 CLI)
+     * @param {string[]} [argv] - Process arguments (defaults to process.argv)
+     * @returns {string} Path of the active configuration file
+     */
+    function getActiveConfigPath(argv = process.argv) {
+        return getArgvOption('config', argv) || 'ui5.yaml';
+    }
+
+    /**
+     * Lists the extensions registered statically in customMiddleware/customTasks
+     * Every project document of the file is inspected.
+     * @param {Object[]} documents - Documents of the ui5.yaml
+     * @returns {Object[]} Registrations with name, type ('middleware' or 'task') and location
+     */
+    function getStaticRegistrations(documents) {
+        const registrations = [];
+
+        documents.forEach((doc, documentIndex) => {
+            if (doc.kind !== undefined && doc.kind !== 'project') {
+                return;
+            }
+            const sections = [
+                { type: 'middleware', location: 'server.customMiddleware', entries: doc.server && doc.server.customMiddleware },
+                { type: 'task', location: 'builder.customTasks', entries: doc.builder && doc.builder.customTasks }
+            ];
+            sections.forEach(({ type, location, entries }) => {
+                (Array.isArray(entries) ? entries : []).forEach((entry, entryIndex) => {
+                    if (!entry || !entry.name || entry.name === LOADER_MIDDLEWARE_NAME || entry.name === LOADER_TASK_NAME) {
+                        return;
+                    }
+                    registrations.push({
+                        name: entry.name,
+                        type,
+                        location: `${location}[${entryIndex}]${documents.length > 1 ? ` of document ${documentIndex + 1}` : ''}`
+                    });
+                });
+            });
+        });
+
+        return registrations;
+    }
+
+    return {
+        getArgvOption,
+        hasArgvFlag,
+        getActiveConfigPath,
+        getStaticRegistrations,
+        readProjectConfig,
+        updateCustomEntries,
+        getProjectDocument,
+        getCustomMiddleware,
+        getCustomTasks,
+        getLoaderConfiguration
+    };
+};
+
+module.exports.LOADER_MIDDLEWARE_NAME = LOADER_MIDDLEWARE_NAME;
+module.exports.LOADER_TASK_NAME = LOADER_TASK_NAME;
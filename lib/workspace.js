@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Workspace and monorepo support for dependency discovery
+ * Understands npm/yarn `workspaces` fields and pnpm-workspace.yaml
+ */
+module.exports = function (log) {
+
+    // Workspace lookups per start directory
+    const workspaceRootCache = new Map();
+    const workspacePackagesCache = new Map();
+
+    /**
+     * Reads and parses a package.json file
+     * @param {string} packageJsonPath - Path to the package.json
+     * @returns {Object|null} Parsed package.json or null if missing/invalid
+     */
+    function readPackageJson(packageJsonPath) {
+        try {
+            if (!fs.existsSync(packageJsonPath)) {
+                return null;
+            }
+            return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        } catch (error) {
+            log.warn(`Failed to read ${packageJsonPath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the workspace patterns declared in a directory
+     * @param {string} dir - Directory to inspect
+     * @returns {Object|null} Object with manager and patterns or null if dir is no workspace root
+     */
+    function getWorkspacePatterns(dir) {
+        const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml');
+        if (fs.existsSync(pnpmWorkspacePath)) {
+            try {
+                const pnpmWorkspace = yaml.load(fs.readFileSync(pnpmWorkspacePath, 'utf8')) || {};
+                return {
+                    manager: 'pnpm',
+                    patterns: Array.isArray(pnpmWorkspace.packages) ? pnpmWorkspace.packages : []
+                };
+            } catch (error) {
+                log.warn(`Failed to parse ${pnpmWorkspacePath}: ${error.message}`);
+            }
+        }
+
+        const packageJson = readPackageJson(path.join(dir, 'package.json'));
+        if (packageJson && packageJson.workspaces) {
+            // npm and yarn v1 use an array, yarn also supports { packages: [...] }
+            const patterns = Array.isArray(packageJson.workspaces)
+                ? packageJson.workspaces
+                : packageJson.workspaces.packages || [];
+            return { manager: 'npm', patterns };
+        }
+
+        return null;
+    }
+
+    /**
+     * Walks up from a directory to the closest workspace root
+     * @param {string} [startDir] - Directory to start from (defaults to process.cwd())
+     * @returns {Object|null} Object with root, manager and patterns or null if not in a workspace
+     */
+    function findWorkspaceRoot(startDir = process.cwd()) {
+        if (workspaceRootCache.has(startDir)) {
+            return workspaceRootCache.get(startDir);
+        }
+
+        let workspace = null;
+        let dir = path.resolve(startDir);
+
+        while (!workspace) {
+            const patterns = getWorkspacePatterns(dir);
+            if (patterns) {
+                workspace = { root: dir, ...patterns };
+                break;
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                break;
+            }
+            dir = parent;
+        }
+
+        if (workspace) {
+            log.debug(`Found ${workspace.manager} workspace root at ${workspace.root}`);
+        }
+        workspaceRootCache.set(startDir, workspace);
+        return workspace;
+    }
+
+    /**
+     * Expands one workspace glob pattern (supports `*` and `**` segments) to directories
+     * @param {string} root - Workspace root directory
+     * @param {string} pattern - Workspace pattern such as `packages/*`
+     * @returns {string[]} Absolute directories matching the pattern
+     */
+    function expandWorkspacePattern(root, pattern) {
+        const segments = pattern.replace(/\\/g, '/').replace(/^\.\//, '').split('/').filter(Boolean);
+        let dirs = [root];
+
+        const listDirs = (dir) => {
+            try {
+                return fs.readdirSync(dir, { withFileTypes: true })
+                    .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+                    .map(entry => path.join(dir, entry.name));
+            } catch (error) {
+                return [];
+            }
+        };
+
+        const listDirsRecursive = (dir) => {
+            const children = listDirs(dir);
+            return [dir, ...children.flatMap(listDirsRecursive)];
+        };
+
+        for (const segment of segments) {
+            if (segment === '**') {
+                dirs = dirs.flatMap(listDirsRecursive);
+            } else if (segment.includes('*')) {
+                const regex = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]]/g, '\\$&')).join('.*')}$`);
+                dirs = dirs.flatMap(listDirs).filter(dir => regex.test(path.basename(dir)));
+            } else {
+                dirs = dirs.map(dir => path.join(dir, segment)).filter(dir => fs.existsSync(dir));
+            }
+        }
+
+        return dirs;
+    }
+
+    /**
+     * Gets all packages of the workspace the directory belongs to
+     * @param {string} [startDir] - Directory to start from (defaults to process.cwd())
+     * @returns {Map<string, string>} Map of package names to package directories
+     */
+    function getWorkspacePackages(startDir = process.cwd()) {
+        if (workspacePackagesCache.has(startDir)) {
+            return workspacePackagesCache.get(startDir);
+        }
+
+        const packages = new Map();
+        workspacePackagesCache.set(startDir, packages);
+
+        const workspace = findWorkspaceRoot(startDir);
+        if (!workspace) {
+            return packages;
+        }
+
+        const included = new Set();
+        const excluded = new Set();
+        workspace.patterns.forEach(pattern => {
+            if (pattern.startsWith('!')) {
+                expandWorkspacePattern(workspace.root, pattern.slice(1)).forEach(dir => excluded.add(dir));
+            } else {
+                expandWorkspacePattern(workspace.root, pattern).forEach(dir => included.add(dir));
+            }
+        });
+
+        included.forEach(dir => {
+            if (excluded.has(dir)) {
+                return;
+            }
+            const packageJson = readPackageJson(path.join(dir, 'package.json'));
+            if (packageJson && packageJson.name) {
+                packages.set(packageJson.name, dir);
+            }
+        });
+
+        log.debug(`Workspace at ${workspace.root} contains ${packages.size} packages`);
+        return packages;
+    }
+
+    /**
+     * Resolves the root directory of an installed package
+     * Uses Node module resolution from the project (covers hoisting), then the
+     * workspace packages, then a node_modules lookup up to the workspace root.
+     * @param {string} packageName - Name of the package
+     * @param {string} [startDir] - Directory to resolve from (defaults to process.cwd())
+     * @returns {string|null} Absolute package directory or null if not installed
+     */
+    function resolvePackageDir(packageName, startDir = process.cwd()) {
+        try {
+            const packageJsonPath = require.resolve(`${packageName}/package.json`, { paths: [startDir] });
+            return path.dirname(packageJsonPath);
+        } catch (error) {
+            // Packages with an "exports" map may hide their package.json
+        }
+
+        const workspacePackages = getWorkspacePackages(startDir);
+        if (workspacePackages.has(packageName)) {
+            return workspacePackages.get(packageName);
+        }
+
+        const workspace = findWorkspaceRoot(startDir);
+        const stopDir = workspace ? workspace.root : path.parse(startDir).root;
+        let dir = path.resolve(startDir);
+        let candidate = path.join(dir, 'node_modules', packageName);
+
+        while (!fs.existsSync(path.join(candidate, 'package.json'))) {
+            const parent = path.dirname(dir);
+            if (dir === stopDir || parent === dir) {
+                return null;
+            }
+            dir = parent;
+            candidate = path.join(dir, 'node_modules', packageName);
+        }
+        return candidate;
+    }
+
+    return {
+        readPackageJson,
+        findWorkspaceRoot,
+        expandWorkspacePattern,
+        getWorkspacePackages,
+        resolvePackageDir
+    };
+};
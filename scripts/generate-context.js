@@ -12,11 +12,21 @@ const filesToCombine = [
     { path: 'lib/middleware.js', type: 'javascript', description: 'UI5 Tooling v4 middleware implementation' },
     { path: 'lib/task.js', type: 'javascript', description: 'UI5 Tooling v4 task implementation' },
     { path: 'lib/core.js', type: 'javascript', description: 'Core utility functions and plugin loading logic' },
+    { path: 'lib/workspace.js', type: 'javascript', description: 'Workspace and monorepo package resolution' },
+    { path: 'lib/explain.js', type: 'javascript', description: 'Explain report of the resolved plugin plan' },
+    { path: 'lib/cli.js', type: 'javascript', description: 'Command-line interface' },
+    { path: 'lib/ui5config.js', type: 'javascript', description: 'Access to the project ui5.yaml' },
+    { path: 'lib/eject.js', type: 'javascript', description: 'Eject into static ui5.yaml entries' },
+    { path: 'lib/migrate.js', type: 'javascript', description: 'Migration of hand-written ui5.yaml setups' },
+    { path: 'lib/interpolate.js', type: 'javascript', description: 'Placeholder interpolation in extension configuration' },
+    { path: 'lib/trust.js', type: 'javascript', description: 'Approvals of the trust policy' },
+    { path: 'lib/lock.js', type: 'javascript', description: 'Lock file of the resolved extensions' },
     
     // Manifest files
     { path: 'manifests/ui5-tooling-modules.json', type: 'json', description: 'Manifest for ui5-tooling-modules extension' },
     { path: 'manifests/ui5-tooling-transpile.json', type: 'json', description: 'Manifest for ui5-tooling-transpile extension' },
     { path: 'manifests/ui5-middleware-livereload.json', type: 'json', description: 'Manifest for ui5-middleware-livereload extension' },
+    { path: 'manifests/presets.json', type: 'json', description: 'Presets bundled with the loader' },
     
     // Schema files
     { path: 'schema/ui5-plugin-loader.schema.json', type: 'json', description: 'JSON schema for manifest validation' },
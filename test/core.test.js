@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const log = { info() {}, warn() {}, error() {}, verbose() {}, debug() {} };
+
+/**
+ * Writes a package with optional ui5.yaml below the node_modules of a directory
+ * @param {string} dir - Directory containing node_modules
+ * @param {string} name - Package name
+ * @param {Object} [dependencies] - Dependencies of the package
+ * @param {string} [ui5Yaml] - Content of the package's ui5.yaml
+ * @returns {string} Package directory
+ */
+function writePackage(dir, name, dependencies = {}, ui5Yaml = null) {
+    const packageDir = path.join(dir, 'node_modules', name);
+    fs.mkdirSync(packageDir, { recursive: true });
+    fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name, version: '1.0.0', dependencies }));
+    if (ui5Yaml) {
+        fs.writeFileSync(path.join(packageDir, 'ui5.yaml'), ui5Yaml);
+    }
+    return packageDir;
+}
+
+/**
+ * Creates a project graph like the middlewareUtil/taskUtil of UI5 tooling
+ * @param {Object} projects - Root directory and dependency names per project name, the first is the root project
+ * @returns {Object} Object with getProject and getDependencies
+ */
+function createProjectGraph(projects) {
+    const [rootName] = Object.keys(projects);
+    return {
+        getProject: (name = rootName) => ({ getName: () => name, getRootPath: () => projects[name].rootPath }),
+        getDependencies: (name = rootName) => projects[name].dependencies
+    };
+}
+
+describe('collectDependencies', () => {
+    let projectDir;
+    let cwd;
+    let sharedLibDir;
+
+    before(() => {
+        cwd = process.cwd();
+        projectDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ui5-plugin-loader-core-')));
+        fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({
+            name: 'core-test',
+            dependencies: { 'shared-lib': '^1.0.0', 'tooling-bundle': '^1.0.0', 'shared-component': '^1.0.0' }
+        }));
+        // A UI5 library without ui5.yaml in its package (e.g. configured by the project's ui5-workspace.yaml)
+        sharedLibDir = writePackage(projectDir, 'shared-lib', { 'ui5-ext-a': '^1.0.0' });
+        writePackage(projectDir, 'tooling-bundle', { 'ui5-ext-b': '^1.0.0' }, 'specVersion: "4.0"\ntype: library\nmetadata:\n  name: tooling.bundle\n');
+        writePackage(projectDir, 'shared-component', { 'ui5-ext-c': '^1.0.0' }, 'specVersion: "4.0"\ntype: component\nmetadata:\n  name: shared.component\n');
+        ['ui5-ext-a', 'ui5-ext-b', 'ui5-ext-c'].forEach(name => writePackage(projectDir, name));
+        process.chdir(projectDir);
+    });
+
+    after(() => {
+        process.chdir(cwd);
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    const collect = projectGraph => require('../lib/core')(log)
+        .collectDependencies({ projectGraph: true }, projectGraph)
+        .map(({ name }) => name);
+
+    it('follows the dependencies of the projects in the UI5 project graph', () => {
+        const names = collect(createProjectGraph({
+            'core.test': { rootPath: projectDir, dependencies: ['shared.lib', 'sap.m'] },
+            'shared.lib': { rootPath: sharedLibDir, dependencies: [] },
+            'sap.m': { rootPath: path.join(projectDir, 'framework', 'sap.m'), dependencies: [] }
+        }));
+        assert.ok(names.includes('ui5-ext-a'));
+        assert.ok(!names.includes('ui5-ext-b'));
+        assert.ok(!names.includes('ui5-ext-c'));
+    });
+
+    it('checks the ui5.yaml of packages without access to the graph', () => {
+        const names = collect(null);
+        assert.ok(!names.includes('ui5-ext-a'));
+        assert.ok(names.includes('ui5-ext-b'));
+        assert.ok(names.includes('ui5-ext-c'));
+    });
+
+    it('checks the ui5.yaml of packages if the graph cannot be read', () => {
+        const names = collect({
+            getProject: () => { throw new Error('getProject is not available for specVersion 2.6'); },
+            getDependencies: () => []
+        });
+        assert.deepStrictEqual(names.filter(name => name.startsWith('ui5-ext-')).sort(), ['ui5-ext-b', 'ui5-ext-c']);
+    });
+});
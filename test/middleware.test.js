@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeMountPath, matchesMountPath } = require('../lib/middleware');
+
+describe('normalizeMountPath', () => {
+    it('adds a leading slash and removes trailing slashes', () => {
+        assert.strictEqual(normalizeMountPath('odata/'), '/odata');
+        assert.strictEqual(normalizeMountPath('/odata//'), '/odata');
+    });
+
+    it('applies the root path to all requests', () => {
+        assert.strictEqual(normalizeMountPath('/'), null);
+        assert.strictEqual(normalizeMountPath(), null);
+    });
+});
+
+describe('matchesMountPath', () => {
+    const mountPath = normalizeMountPath('/odata');
+
+    it('matches the mount path with and without trailing slash', () => {
+        assert.strictEqual(matchesMountPath('/odata', mountPath), true);
+        assert.strictEqual(matchesMountPath('/odata/', mountPath), true);
+        assert.strictEqual(matchesMountPath('/odata/?$top=1', mountPath), true);
+    });
+
+    it('matches paths below the mount path', () => {
+        assert.strictEqual(matchesMountPath('/odata/Products', mountPath), true);
+        assert.strictEqual(matchesMountPath('/odata/Products/', mountPath), true);
+    });
+
+    it('ignores case', () => {
+        assert.strictEqual(matchesMountPath('/OData/Products', mountPath), true);
+        assert.strictEqual(matchesMountPath('/products', normalizeMountPath('/Products')), true);
+    });
+
+    it('does not match paths that only share the prefix', () => {
+        assert.strictEqual(matchesMountPath('/odatax', mountPath), false);
+        assert.strictEqual(matchesMountPath('/odatax/', mountPath), false);
+        assert.strictEqual(matchesMountPath('/', mountPath), false);
+    });
+});
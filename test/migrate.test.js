@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const log = { info() {}, warn() {}, error() {}, verbose() {}, debug() {} };
+const migrate = require('../lib/migrate')(log);
+
+describe('migrateConfig', () => {
+    let projectDir;
+    let manifestsDir;
+    let cwd;
+
+    before(() => {
+        cwd = process.cwd();
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui5-plugin-loader-migrate-'));
+        manifestsDir = path.join(projectDir, 'manifests');
+        fs.mkdirSync(manifestsDir);
+        fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({
+            name: 'migrate-test',
+            devDependencies: { 'ui5-middleware-test': '^1.0.0' }
+        }));
+        fs.writeFileSync(path.join(manifestsDir, 'ui5-middleware-test.json'), JSON.stringify({
+            middleware: [{
+                name: 'ui5-middleware-test',
+                configuration: { debug: false, port: 35729, extraExts: 'xml' }
+            }]
+        }));
+        process.chdir(projectDir);
+    });
+
+    after(() => {
+        process.chdir(cwd);
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    const migrateMiddleware = configuration => {
+        const entry = { name: 'ui5-middleware-test', afterMiddleware: 'compression' };
+        if (configuration) {
+            entry.configuration = configuration;
+        }
+        const source = yaml.dump({
+            specVersion: '4.0',
+            metadata: { name: 'migrate.test' },
+            type: 'application',
+            server: { customMiddleware: [entry] }
+        });
+        const { content, report } = migrate.migrateConfig(source, { manifestsDir });
+        return { loader: yaml.load(content).server.customMiddleware[0], report };
+    };
+
+    it('keeps configuration keys that differ from the manifest defaults', () => {
+        const { loader, report } = migrateMiddleware({ debug: true, port: 35729, extraExts: 'xml' });
+        assert.deepStrictEqual(report.migrated, ['ui5-middleware-test']);
+        assert.deepStrictEqual(loader.configuration.override['ui5-middleware-test'], {
+            configuration: { debug: true }
+        });
+    });
+
+    it('unsets manifest defaults the entry does not configure', () => {
+        const { loader } = migrateMiddleware({ debug: true });
+        assert.deepStrictEqual(loader.configuration.override['ui5-middleware-test'], {
+            configuration: { debug: true, port: '$unset', extraExts: '$unset' }
+        });
+    });
+
+    it('unsets all manifest defaults for an entry without configuration', () => {
+        const { loader } = migrateMiddleware();
+        assert.deepStrictEqual(loader.configuration.override['ui5-middleware-test'], {
+            configuration: { debug: '$unset', port: '$unset', extraExts: '$unset' }
+        });
+    });
+});